@@ -2,6 +2,7 @@ import Foundation
 import Capacitor
 import UIKit
 import AudioToolbox
+import CoreMotion
 
 @objc(HideNSeekDisplayPlugin)
 public class HideNSeekDisplayPlugin: CAPPlugin, CAPBridgedPlugin {
@@ -11,11 +12,15 @@ public class HideNSeekDisplayPlugin: CAPPlugin, CAPBridgedPlugin {
         CAPPluginMethod(name: "setKeepAwake", returnType: CAPPluginReturnPromise),
         CAPPluginMethod(name: "setDimmed", returnType: CAPPluginReturnPromise),
         CAPPluginMethod(name: "startRevealVibration", returnType: CAPPluginReturnPromise),
-        CAPPluginMethod(name: "stopRevealVibration", returnType: CAPPluginReturnPromise)
+        CAPPluginMethod(name: "stopRevealVibration", returnType: CAPPluginReturnPromise),
+        CAPPluginMethod(name: "requestMotionPermission", returnType: CAPPluginReturnPromise),
+        CAPPluginMethod(name: "startMotionUpdates", returnType: CAPPluginReturnPromise),
+        CAPPluginMethod(name: "stopMotionUpdates", returnType: CAPPluginReturnPromise)
     ]
 
     private var revealVibrationTimer: Timer?
     private var revealVibrationStopTime: Date?
+    private let motionManager = CMMotionManager()
 
     @objc public func setKeepAwake(_ call: CAPPluginCall) {
         let enabled = call.getBool("enabled") ?? false
@@ -58,6 +63,50 @@ public class HideNSeekDisplayPlugin: CAPPlugin, CAPBridgedPlugin {
         }
     }
 
+    // Raw device motion needs no user prompt on iOS, so this only reports whether the sensors exist.
+    @objc public func requestMotionPermission(_ call: CAPPluginCall) {
+        call.resolve([
+            "granted": motionManager.isDeviceMotionAvailable
+        ])
+    }
+
+    // Emits "motion" events in the units the web DeviceMotionEvent uses (m/s² and degrees/s)
+    // so the JS pickup detection treats both sources the same way.
+    @objc public func startMotionUpdates(_ call: CAPPluginCall) {
+        let intervalMs = max(20, call.getInt("intervalMs") ?? 100)
+
+        DispatchQueue.main.async {
+            guard self.motionManager.isDeviceMotionAvailable else {
+                call.reject("Device motion is not available.")
+                return
+            }
+
+            self.motionManager.deviceMotionUpdateInterval = Double(intervalMs) / 1000.0
+            self.motionManager.startDeviceMotionUpdates(to: .main) { [weak self] motion, _ in
+                guard let self, let motion else {
+                    return
+                }
+
+                let acceleration = motion.userAcceleration
+                let rotation = motion.rotationRate
+                self.notifyListeners("motion", data: [
+                    "acceleration": sqrt(acceleration.x * acceleration.x + acceleration.y * acceleration.y + acceleration.z * acceleration.z) * 9.81,
+                    "rotationRate": sqrt(rotation.x * rotation.x + rotation.y * rotation.y + rotation.z * rotation.z) * 180.0 / Double.pi
+                ])
+            }
+            call.resolve([
+                "intervalMs": intervalMs
+            ])
+        }
+    }
+
+    @objc public func stopMotionUpdates(_ call: CAPPluginCall) {
+        DispatchQueue.main.async {
+            self.motionManager.stopDeviceMotionUpdates()
+            call.resolve()
+        }
+    }
+
     private func beginRevealVibration(durationMs: Int, pulseMs: Int, pauseMs: Int) {
         stopRevealVibrationTimer()
 
@@ -0,0 +1,101 @@
+// logger.js - Leveled server logging with room and player context
+//
+// LOG_LEVEL:  debug | info | warn | error (default: info)
+// LOG_FORMAT: text | json (default: text). JSON writes one object per line for log search tools.
+
+const LOG_LEVELS = Object.freeze({
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+});
+const DEFAULT_LOG_LEVEL = 'info';
+
+const LOG_FORMAT = Object.freeze({
+    TEXT: 'text',
+    JSON: 'json',
+});
+const DEFAULT_LOG_FORMAT = LOG_FORMAT.TEXT;
+
+// Context every entry may carry; unset fields are left out
+const CONTEXT_FIELDS = Object.freeze(['roomCode', 'playerNumber', 'socketId', 'gameState', 'event']);
+
+function resolveLevel(name) {
+    const key = (name || '').toLowerCase();
+    return LOG_LEVELS[key] ? key : DEFAULT_LOG_LEVEL;
+}
+
+function resolveFormat(name) {
+    const format = (name || '').toLowerCase();
+    return Object.values(LOG_FORMAT).includes(format) ? format : DEFAULT_LOG_FORMAT;
+}
+
+/** Errors don't serialize to JSON on their own; keep the message and stack. */
+function serializeValue(value) {
+    if (value instanceof Error) return { message: value.message, stack: value.stack };
+    return value;
+}
+
+function formatText(time, level, message, fields) {
+    const roomPrefix = fields.roomCode ? `[${fields.roomCode}] ` : '';
+    const details = Object.entries(fields)
+        .filter(([key]) => key !== 'roomCode')
+        .map(([key, value]) => {
+            if (value instanceof Error) return `${key}=${value.stack || value.message}`;
+            return `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`;
+        })
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} ${roomPrefix}${message}${details ? ` ${details}` : ''}`;
+}
+
+/**
+ * Creates a logger whose entries all include `baseFields`.
+ * @param {{ level?: string, format?: string, baseFields?: object }} options
+ */
+function createLogger({ level, format, baseFields = {} } = {}) {
+    const minLevel = LOG_LEVELS[resolveLevel(level)];
+    const outputFormat = resolveFormat(format);
+
+    function write(entryLevel, message, fields = {}) {
+        if (LOG_LEVELS[entryLevel] < minLevel) return;
+
+        const merged = {};
+        Object.entries({ ...baseFields, ...fields }).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) merged[key] = value;
+        });
+
+        const time = new Date().toISOString();
+        let line;
+        if (outputFormat === LOG_FORMAT.JSON) {
+            const entry = { time, level: entryLevel, msg: message };
+            CONTEXT_FIELDS.forEach(key => { if (key in merged) entry[key] = merged[key]; });
+            Object.entries(merged).forEach(([key, value]) => { if (!(key in entry)) entry[key] = serializeValue(value); });
+            line = JSON.stringify(entry);
+        } else {
+            line = formatText(time, entryLevel, message, merged);
+        }
+
+        if (LOG_LEVELS[entryLevel] >= LOG_LEVELS.warn) {
+            process.stderr.write(`${line}\n`);
+        } else {
+            process.stdout.write(`${line}\n`);
+        }
+    }
+
+    return {
+        level: resolveLevel(level),
+        format: outputFormat,
+        isEnabled: (entryLevel) => LOG_LEVELS[entryLevel] >= minLevel,
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields),
+        /** Returns a logger that adds `fields` to every entry. */
+        child: (fields) => createLogger({ level, format, baseFields: { ...baseFields, ...fields } }),
+    };
+}
+
+// Shared instance configured from the environment
+const logger = createLogger({ level: process.env.LOG_LEVEL, format: process.env.LOG_FORMAT });
+
+module.exports = { logger, createLogger, LOG_LEVELS, LOG_FORMAT };
@@ -41,12 +41,83 @@
         SEEKERS: 'Seekers',
     });
 
+    const SOUND_MODE = Object.freeze({
+        PACK: 'pack',
+        SYNTH: 'synth',
+    });
+
+    const FOUND_CONFIRMATION = Object.freeze({
+        SELF: 'self',
+        CODE: 'code',
+    });
+
+    const PICKUP_DETECTION = Object.freeze({
+        OFF: 'off',
+        PROMPT: 'prompt',
+        AUTO: 'auto',
+    });
+
+    const HINT_KIND = Object.freeze({
+        ZONE: 'zone',
+        CLUE: 'clue',
+    });
+
+    // Mirrors the server's round log event types and sound sources
+    const ROUND_EVENT = Object.freeze({
+        JOINED: 'joined',
+        LEFT: 'left',
+        DISCONNECTED: 'disconnected',
+        RECONNECTED: 'reconnected',
+        HIDING_STARTED: 'hidingStarted',
+        CONFIRMED_HIDDEN: 'confirmedHidden',
+        SEEKING_STARTED: 'seekingStarted',
+        PAUSED: 'paused',
+        RESUMED: 'resumed',
+        SOUND_PLAYED: 'soundPlayed',
+        HINT_RELEASED: 'hintReleased',
+        FOUND: 'found',
+        GAME_ENDED: 'gameEnded',
+        REVEAL_ACTIVATED: 'revealActivated',
+    });
+
+    const SOUND_PLAY_SOURCE = Object.freeze({
+        SCHEDULED: 'scheduled',
+        PING: 'ping',
+        DECOY: 'decoy',
+    });
+
     // Settings constants for client-side validation/defaults
     const MIN_SEEK_TIME_LIMIT_S = 15;
     const MAX_SEEK_TIME_LIMIT_S = 600;
+    const MIN_HIDING_TIME_LIMIT_S = 30; // 0 is also allowed and means no limit
+    const MAX_HIDING_TIME_LIMIT_S = 600;
     const DEFAULT_SOUND_PLAYS_PER_PLAYER = 6;
     const MIN_SOUND_PLAYS = 1;
     const MAX_SOUND_PLAYS = 20;
+    const MIN_PINGS_PER_ROUND = 0;
+    const MAX_PINGS_PER_ROUND = 10;
+    const MIN_PING_TIME_COST_S = 0;
+    const MAX_PING_TIME_COST_S = 60;
+    const MAX_HIDING_ZONES = 12;
+    const MAX_ZONE_LABEL_LENGTH = 30;
+    const MIN_HINT_INTERVAL_S = 30; // 0 is also allowed and means no scheduled hints
+    const MAX_HINT_INTERVAL_S = 300;
+    const MIN_HINT_REQUESTS_PER_ROUND = 0;
+    const MAX_HINT_REQUESTS_PER_ROUND = 10;
+    const MIN_HINT_TIME_COST_S = 0;
+    const MAX_HINT_TIME_COST_S = 60;
+    const MIN_VOLUME_PERCENT = 10;
+    const MAX_VOLUME_PERCENT = 100;
+    const MIN_PLAYBACK_RATE_PERCENT = 50;
+    const MAX_PLAYBACK_RATE_PERCENT = 200;
+    const MIN_PICKUP_AUTO_FOUND_DELAY_S = 2;
+    const MAX_PICKUP_AUTO_FOUND_DELAY_S = 30;
+    const MIN_DECOY_RATIO_PERCENT = 0;
+    const MAX_DECOY_RATIO_PERCENT = 100;
+    const MIN_FRENZY_WINDOW_S = 5;
+    const MAX_FRENZY_WINDOW_S = 60;
+    const FOUND_CODE_LENGTH = 6;
+    const FRENZY_SCHEDULER_ID = 'frenzy'; // Only this schedule uses the frenzy window setting
 
     const SOUND_URLS = Object.freeze({
         VICTORY: '/sounds/victory.mp3',
@@ -54,9 +125,34 @@
         FAIL: '/sounds/fail.mp3' // For game over reveal find
     });
 
+    const OPEN_LOW_PASS_HZ = 20000; // Filter cutoff used when a play is not muffled
+
+    const MAX_CUSTOM_SOUND_DURATION_S = 5; // Mirrors server-side upload limits
+    const MAX_CUSTOM_SOUND_BYTES = 1024 * 1024;
+    const RECORDING_STOP_MARGIN_MS = 200; // Stop recording slightly early so encoder padding stays under the limit
+
     const VIBRATION_PULSE_MS = 400;
     const VIBRATION_PAUSE_MS = 200;
     const ROOM_CODE_LENGTH = 5; // Used for input validation
+    const MIN_JOIN_PIN_LENGTH = 4; // Mirrors the server's room PIN rules
+    const MAX_JOIN_PIN_LENGTH = 6;
+    const JOIN_PIN_PATTERN = new RegExp(`^\\d{${MIN_JOIN_PIN_LENGTH},${MAX_JOIN_PIN_LENGTH}}$`);
+    const SESSION_STORAGE_KEY = 'hns.session'; // localStorage key for the resumable player session
+    const DEVICE_ID_STORAGE_KEY = 'hns.deviceId'; // localStorage key for this device's id (room bans)
+    const DEBUG_QUERY_PARAM = 'debug'; // ?debug turns on verbose client logging
+    const CLOCK_SYNC_INTERVAL_MS = 30000; // How often the server clock offset is refreshed
+    const CLOCK_SYNC_BURST_SIZE = 5; // Samples taken right after connecting
+    const CLOCK_SYNC_BURST_SPACING_MS = 200;
+    const CLOCK_SYNC_MAX_SAMPLES = 10; // Recent samples kept; the one with the shortest round trip wins
+    const MOTION_SAMPLE_INTERVAL_MS = 100; // Native motion update rate
+    const MOTION_SETTLE_MS = 2000; // Motion right after watching starts is ignored (e.g. the countdown's last touches)
+    const PICKUP_ACCELERATION_THRESHOLD = 1.5; // m/s², gravity excluded
+    const PICKUP_ROTATION_THRESHOLD = 45; // degrees/s
+    const PICKUP_MIN_MOTION_MS = 400; // Movement must last this long, so a single bump doesn't count
+    const PICKUP_MOTION_WINDOW_MS = 1500;
+    const REPLAY_PLAYBACK_MS = 20000; // A whole round replays in this long, whatever its length
+    const REPLAY_TICK_MS = 100;
+    const REPLAY_RECENT_EVENT_COUNT = 6; // Events listed under the timeline, up to the scrub position
 
     // =========================================================================
     // == Client State
@@ -64,9 +160,13 @@
     let myPlayerId = null;
     let currentRoomState = null;
     let seekTimerInterval = null;
+    let hidingTimerInterval = null;
+    let pickupCountdownInterval = null;
     let audioContextStarted = false;
     let soundsPreloaded = false;
     let activeViewId = VIEW_IDS.JOIN; // Track the currently intended active view
+    let isResumingOnLoad = false; // A stored session is being resumed before this page has shown any room
+    let pendingPinJoin = null; // { roomCode, asController } while the join view asks for a room's PIN
 
     // =========================================================================
     // == DOM Element Cache (Managed by UIManager)
@@ -112,6 +212,141 @@
         }
     };
 
+    /**
+     * Console logging tagged with the room, phone and game state. Debug and info lines only
+     * print when the page was opened with ?debug; warnings and errors always print.
+     */
+    const Logger = {
+        enabled: (() => {
+            try {
+                return new URLSearchParams(window.location.search).has(DEBUG_QUERY_PARAM);
+            } catch (error) {
+                return false;
+            }
+        })(),
+
+        _prefix: function() {
+            if (!currentRoomState) return '[HNS]';
+            const me = currentRoomState.players?.[myPlayerId];
+            const parts = [currentRoomState.roomCode, me ? `P${me.number}` : null, currentRoomState.gameState].filter(Boolean);
+            return `[HNS ${parts.join(' ')}]`;
+        },
+
+        debug: function(...args) {
+            if (this.enabled) console.debug(this._prefix(), ...args);
+        },
+        info: function(...args) {
+            if (this.enabled) console.info(this._prefix(), ...args);
+        },
+        warn: function(...args) {
+            console.warn(this._prefix(), ...args);
+        },
+        error: function(...args) {
+            console.error(this._prefix(), ...args);
+        }
+    };
+
+    /** Persists the server-issued session token so a dropped phone can reclaim its seat. */
+    const SessionStore = {
+        load: function() {
+            try {
+                const session = JSON.parse(window.localStorage.getItem(SESSION_STORAGE_KEY));
+                return session?.roomCode && session?.sessionToken ? session : null;
+            } catch (error) {
+                Logger.warn('[Session] Failed to read stored session:', error);
+                return null;
+            }
+        },
+
+        save: function(session) {
+            try {
+                window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+            } catch (error) {
+                Logger.warn('[Session] Failed to store session:', error);
+            }
+        },
+
+        clear: function() {
+            try {
+                window.localStorage.removeItem(SESSION_STORAGE_KEY);
+            } catch (error) {
+                Logger.warn('[Session] Failed to clear stored session:', error);
+            }
+        }
+    };
+
+    /** A random id this device keeps across sessions, so a Hider's ban applies to the device rather than one connection. */
+    const DeviceIdentity = {
+        deviceId: null,
+
+        get: function() {
+            if (this.deviceId) return this.deviceId;
+            try {
+                this.deviceId = window.localStorage.getItem(DEVICE_ID_STORAGE_KEY);
+                if (!this.deviceId) {
+                    this.deviceId = this._generate();
+                    window.localStorage.setItem(DEVICE_ID_STORAGE_KEY, this.deviceId);
+                }
+            } catch (error) {
+                Logger.warn('[Device] Failed to use stored device id:', error);
+                this.deviceId = this.deviceId || this._generate(); // Lasts until the page reloads
+            }
+            return this.deviceId;
+        },
+
+        _generate: function() {
+            if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+            return Array.from(window.crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+    };
+
+    /** Estimates the offset between this device's clock and the server's from request/response round trips. */
+    const ClockSync = {
+        offsetMs: 0, // Server time minus local time
+        samples: [], // { roundTripMs, offsetMs }
+        syncInterval: null,
+        burstTimeouts: [],
+
+        /** Current time on the server's clock. */
+        now: function() {
+            return Date.now() + this.offsetMs;
+        },
+
+        /** Converts a server timestamp to this device's clock. */
+        toLocalTime: function(serverTime) {
+            return serverTime - this.offsetMs;
+        },
+
+        start: function() {
+            this.stop();
+            for (let i = 0; i < CLOCK_SYNC_BURST_SIZE; i++) {
+                this.burstTimeouts.push(setTimeout(() => SocketClient.emitClockSyncRequest(Date.now()), i * CLOCK_SYNC_BURST_SPACING_MS));
+            }
+            this.syncInterval = setInterval(() => SocketClient.emitClockSyncRequest(Date.now()), CLOCK_SYNC_INTERVAL_MS);
+        },
+
+        stop: function() {
+            this.burstTimeouts.forEach(timeout => clearTimeout(timeout));
+            this.burstTimeouts = [];
+            if (this.syncInterval) clearInterval(this.syncInterval);
+            this.syncInterval = null;
+        },
+
+        handleResponse: function(response) {
+            const receivedAt = Date.now();
+            const roundTripMs = receivedAt - response.clientSendTime;
+            if (!(roundTripMs >= 0)) return;
+
+            // Assume the reply spent half the round trip in flight
+            this.samples.push({ roundTripMs, offsetMs: response.serverTime + roundTripMs / 2 - receivedAt });
+            if (this.samples.length > CLOCK_SYNC_MAX_SAMPLES) this.samples.shift();
+
+            // The fastest round trip has the least room for asymmetric delay
+            const best = this.samples.reduce((a, b) => (b.roundTripMs < a.roundTripMs ? b : a));
+            this.offsetMs = best.offsetMs;
+        }
+    };
+
     const ScriptLoader = {
         pendingLoads: {},
 
@@ -154,7 +389,11 @@
         audioPlayers: {}, // Cache for Tone.Player instances { url: Tone.Player }
         activeUnfoundLoop: null,
         activeUnfoundPlayer: null,
+        activeUnfoundSynth: null,
+        activeSeekSynths: [], // Synths still sounding a seek chirp, disposed when they finish or are stopped
+        seekEffects: null, // { filter, gain } chain this phone's seek sounds play through
         knownAnimalSoundURLs: [], // URLs specific to the current game instance
+        preloadedSoundPackId: null, // Pack whose assets were last preloaded
 
         getNativeDisplayPlugin: function() {
             return window.Capacitor?.Plugins?.HideNSeekDisplay || null;
@@ -210,26 +449,26 @@
                     pulseMs: VIBRATION_PULSE_MS,
                     pauseMs: VIBRATION_PAUSE_MS
                 }).catch(error => {
-                    console.warn('[Unfound Loop] Native reveal vibration failed:', error);
+                    Logger.warn('[Unfound Loop] Native reveal vibration failed:', error);
                 });
                 return;
             }
 
             if (!this.supportsVibration()) {
-                console.log("[Unfound Loop] Vibration API unavailable on this device/browser.");
+                Logger.debug("[Unfound Loop] Vibration API unavailable on this device/browser.");
                 return;
             }
 
             const pattern = this.buildRevealVibrationPattern(soundDurationSeconds);
             const didVibrate = navigator.vibrate(pattern);
-            console.log(`[Unfound Loop] Vibration ${didVibrate ? 'started' : 'was rejected'} with pattern:`, pattern);
+            Logger.debug(`[Unfound Loop] Vibration ${didVibrate ? 'started' : 'was rejected'} with pattern:`, pattern);
         },
 
         cancelVibration: function() {
             const nativePlugin = this.getNativeDisplayPlugin();
             if (nativePlugin?.stopRevealVibration) {
                 nativePlugin.stopRevealVibration().catch(error => {
-                    console.warn('[Unfound Loop] Failed to stop native reveal vibration:', error);
+                    Logger.warn('[Unfound Loop] Failed to stop native reveal vibration:', error);
                 });
             }
 
@@ -242,19 +481,18 @@
         attemptStart: function() {
             // Only attempt if Tone is available and context is not already running
             if (!audioContextStarted && typeof Tone !== 'undefined' && Tone.context && Tone.context.state !== 'running') {
-                console.log("Attempting Tone.start() due to user interaction...");
+                Logger.debug("Attempting Tone.start() due to user interaction...");
                 return Tone.start().then(() => {
-                    console.log("Tone.start() successful. Audio context is running.");
+                    Logger.debug("Tone.start() successful. Audio context is running.");
                     audioContextStarted = true;
                     this.ensureTransportRunning();
                     // If a game state already exists (e.g., user reconnected), try preloading now
-                    // Use client-side GAME_STATE constants
-                    if (currentRoomState && (currentRoomState.gameState === GAME_STATE.WAITING || currentRoomState.gameState === GAME_STATE.HIDING)) {
-                         this.preloadGameSounds(currentRoomState.players);
+                    if (currentRoomState) {
+                         this.preloadGameSounds(currentRoomState.players, currentRoomState.soundPack);
                     }
                     return true;
                 }).catch(e => {
-                    console.error("Tone.start() failed:", e);
+                    Logger.error("Tone.start() failed:", e);
                     // Show user-facing error in the join view's error area
                     UIManager.showError("Audio could not be initialized. Sound may not work.", DOMElements.joinError);
                     return false;
@@ -264,7 +502,7 @@
                 this.ensureTransportRunning();
                 return Promise.resolve(true);
             } else if (typeof Tone === 'undefined') {
-                 console.error("Tone.js not available. Cannot start audio.");
+                 Logger.error("Tone.js not available. Cannot start audio.");
                  UIManager.showError("Audio library failed to load. Please refresh.", DOMElements.joinError);
                  return Promise.resolve(false);
             }
@@ -284,7 +522,7 @@
                 try {
                     Tone.Transport.start();
                 } catch (e) {
-                    console.error("Error starting Tone.Transport:", e);
+                    Logger.error("Error starting Tone.Transport:", e);
                 }
             }
         },
@@ -293,75 +531,135 @@
         loadPlayer: function(url) {
             const resolvedUrl = this.resolveSoundUrl(url);
             if (!resolvedUrl) {
-                console.warn("[Audio Load] Invalid URL:", url);
+                Logger.warn("[Audio Load] Invalid URL:", url);
                 return null;
             }
             if (!this.audioPlayers[resolvedUrl]) {
-                console.log(`[Audio Load] Creating player for: ${resolvedUrl}`);
+                Logger.debug(`[Audio Load] Creating player for: ${resolvedUrl}`);
                 try {
                     const player = new Tone.Player(resolvedUrl).toDestination();
-                    player.buffer.onload = () => console.log(`[Audio Load] Buffer loaded: ${resolvedUrl}`);
-                    player.buffer.onerror = (e) => console.error(`[Audio Load] Buffer error for ${resolvedUrl}:`, e);
+                    player.buffer.onload = () => Logger.debug(`[Audio Load] Buffer loaded: ${resolvedUrl}`);
+                    player.buffer.onerror = (e) => Logger.error(`[Audio Load] Buffer error for ${resolvedUrl}:`, e);
                     this.audioPlayers[resolvedUrl] = player;
                 } catch (e) {
-                    console.error(`[Audio Load] Error creating Tone.Player for ${resolvedUrl}:`, e);
+                    Logger.error(`[Audio Load] Error creating Tone.Player for ${resolvedUrl}:`, e);
                     return null;
                 }
             }
             return this.audioPlayers[resolvedUrl];
         },
 
-        /** Initiates loading for all necessary game sounds. */
-        preloadGameSounds: function(players) {
+        /** Loads any player-assigned sounds not cached yet (e.g. a clip uploaded after preloading). */
+        loadAssignedSounds: function(players) {
+            if (!audioContextStarted || typeof Tone === 'undefined') return;
+
+            Object.values(players || {}).forEach(p => {
+                if (p.uniqueAnimalSoundURL) {
+                    const animalUrl = this.resolveSoundUrl(p.uniqueAnimalSoundURL);
+                    if (!this.knownAnimalSoundURLs.includes(animalUrl)) this.knownAnimalSoundURLs.push(animalUrl);
+                    this.loadPlayer(animalUrl);
+                }
+                if (p.uniqueUnfoundSoundURL) this.loadPlayer(p.uniqueUnfoundSoundURL);
+            });
+        },
+
+        /** Initiates loading for the room's sound pack plus any sounds assigned to players. */
+        preloadGameSounds: function(players, soundPack) {
             if (soundsPreloaded || !audioContextStarted || typeof Tone === 'undefined') {
-                if (!soundsPreloaded && !audioContextStarted) console.warn("[Preload] Cannot preload: Audio context not running.");
+                if (!soundsPreloaded && !audioContextStarted) Logger.warn("[Preload] Cannot preload: Audio context not running.");
                 return;
             }
-            console.log("[Preload] Initiating sound preloading...");
+            Logger.debug("[Preload] Initiating sound preloading...");
 
             const urlsToLoad = new Set([SOUND_URLS.VICTORY, SOUND_URLS.FOUND, SOUND_URLS.FAIL]);
             this.knownAnimalSoundURLs = []; // Reset for this game
 
+            const addSeekSound = (url) => {
+                const animalUrl = this.resolveSoundUrl(url);
+                urlsToLoad.add(animalUrl);
+                if (!this.knownAnimalSoundURLs.includes(animalUrl)) this.knownAnimalSoundURLs.push(animalUrl);
+            };
+
+            (soundPack?.seekSounds || []).forEach(sound => addSeekSound(sound.url));
+            (soundPack?.revealSounds || []).forEach(sound => urlsToLoad.add(this.resolveSoundUrl(sound.url)));
+            (soundPack?.decoySounds || []).forEach(sound => addSeekSound(sound.url)); // Decoys stop with the seek sounds
+
             Object.values(players || {}).forEach(p => {
                 if (p.uniqueAnimalSoundURL) {
-                    const animalUrl = this.resolveSoundUrl(p.uniqueAnimalSoundURL);
-                    urlsToLoad.add(animalUrl);
-                    this.knownAnimalSoundURLs.push(animalUrl);
+                    addSeekSound(p.uniqueAnimalSoundURL);
                 }
                 if (p.uniqueUnfoundSoundURL) {
                     urlsToLoad.add(this.resolveSoundUrl(p.uniqueUnfoundSoundURL));
                 }
             });
 
-            console.log("[Preload] URLs to load:", Array.from(urlsToLoad));
+            Logger.debug("[Preload] URLs to load:", Array.from(urlsToLoad));
             urlsToLoad.forEach(url => this.loadPlayer(url));
+            this.preloadedSoundPackId = soundPack?.id || null;
             soundsPreloaded = true;
         },
 
         /** Stops playback for all known seeking phase (animal) sounds. */
         stopAllSeekingSounds: function() {
-            console.log("[Audio Stop] Stopping all known seeking sounds...");
+            Logger.debug("[Audio Stop] Stopping all known seeking sounds...");
             this.knownAnimalSoundURLs.forEach(url => {
                 const player = this.audioPlayers[url];
                 if (player && player.loaded && player.state === 'started') {
                     try {
                         player.stop(Tone.now());
                     } catch (e) {
-                        console.error(`[Audio Stop] Error stopping player for ${url}:`, e);
+                        Logger.error(`[Audio Stop] Error stopping player for ${url}:`, e);
                     }
                 }
             });
+            // Notes are scheduled ahead, so disposing is the only way to silence a synth mid-phrase
+            this.activeSeekSynths.forEach(synth => {
+                try { synth.dispose(); }
+                catch (e) { Logger.error("[Audio Stop] Error disposing synth:", e); }
+            });
+            this.activeSeekSynths = [];
+        },
+
+        /** Converts a server timestamp to a Tone.js time; null or past instants mean "now". */
+        getToneTimeForServerTime: function(serverTime) {
+            if (!serverTime) return Tone.now();
+            const delaySeconds = Math.max(0, (ClockSync.toLocalTime(serverTime) - Date.now()) / 1000);
+            return Tone.now() + delaySeconds;
+        },
+
+        /** Lazily builds the low-pass filter -> gain chain used for seek sounds. */
+        getSeekEffectsChain: function() {
+            if (!this.seekEffects) {
+                const gain = new Tone.Gain(1).toDestination();
+                const filter = new Tone.Filter(OPEN_LOW_PASS_HZ, 'lowpass').connect(gain);
+                this.seekEffects = { filter, gain };
+            }
+            return this.seekEffects;
+        },
+
+        /**
+         * Applies server-sent playback parameters to the seek effects chain.
+         * @returns {Tone.ToneAudioNode} The chain's input node.
+         */
+        applyPlaybackParams: function(playback) {
+            const chain = this.getSeekEffectsChain();
+            chain.gain.gain.value = playback?.gain ?? 1;
+            chain.filter.frequency.value = playback?.lowPassHz || OPEN_LOW_PASS_HZ;
+            return chain.filter;
         },
 
-        /** Plays a sound file once using its cached Tone.Player instance. */
-        play: function(url, context = 'general') {
+        /**
+         * Plays a sound file once using its cached Tone.Player instance.
+         * `playback` routes it through the seek effects chain; `playAt` delays it to a server-time instant.
+         */
+        play: function(url, context = 'general', playback = null, playAt = null) {
             const resolvedUrl = this.resolveSoundUrl(url);
             if (!resolvedUrl) {
-                console.warn(`[${context}] playAudio called with invalid URL.`);
+                Logger.warn(`[${context}] playAudio called with invalid URL.`);
                 return;
             }
             if (!audioContextStarted || typeof Tone === 'undefined') {
-                console.error(`[${context}] Cannot play ${resolvedUrl}: Audio context not running.`);
+                Logger.error(`[${context}] Cannot play ${resolvedUrl}: Audio context not running.`);
                 return;
             }
             this.ensureTransportRunning();
@@ -371,17 +669,24 @@
                 if (player.loaded) {
                     try {
                         player.stop(Tone.now()); // Stop previous playback first
-                        player.start(Tone.now());
+                        player.disconnect();
+                        if (playback) {
+                            player.connect(this.applyPlaybackParams(playback));
+                        } else {
+                            player.toDestination();
+                        }
+                        player.playbackRate = playback?.playbackRate ?? 1;
+                        player.start(this.getToneTimeForServerTime(playAt));
                     } catch (e) {
-                        console.error(`[${context}] Error starting playback for ${resolvedUrl}:`, e);
+                        Logger.error(`[${context}] Error starting playback for ${resolvedUrl}:`, e);
                     }
                 } else {
-                    console.warn(`[${context}] Player ${resolvedUrl} exists but not loaded. Skipping.`);
+                    Logger.warn(`[${context}] Player ${resolvedUrl} exists but not loaded. Skipping.`);
                     // Optionally trigger loading again if needed
                     // this.loadPlayer(url);
                 }
             } else {
-                console.error(`[${context}] Player ${resolvedUrl} not found. Cannot play.`);
+                Logger.error(`[${context}] Player ${resolvedUrl} not found. Cannot play.`);
                 this.loadPlayer(resolvedUrl); // Attempt to load if missing
             }
         },
@@ -405,7 +710,7 @@
                 try {
                     await player.load(this.resolveSoundUrl(url));
                 } catch (error) {
-                    console.error('[waiting-room-test] Failed while waiting for audio buffers to load:', error);
+                    Logger.error('[waiting-room-test] Failed while waiting for audio buffers to load:', error);
                     return false;
                 }
             }
@@ -418,44 +723,113 @@
             return true;
         },
 
+        /** Creates a Tone.Synth voiced by a server-provided synth descriptor, connected to `output` or the speakers. */
+        createSynth: function(descriptor, output = null) {
+            const synth = new Tone.Synth({
+                oscillator: { type: descriptor.oscillator },
+                envelope: { attack: descriptor.attack, decay: 0.05, sustain: 0.7, release: descriptor.release },
+                volume: descriptor.volumeDb
+            });
+            return output ? synth.connect(output) : synth.toDestination();
+        },
+
+        /** Length of one phrase of a descriptor in seconds, including the final release. */
+        getSynthDuration: function(descriptor, playbackRate = 1) {
+            return descriptor.durations.reduce((sum, duration) => sum + duration, 0) / playbackRate + descriptor.release;
+        },
+
+        /** Schedules one phrase of a descriptor on `synth` starting at `startTime`. Rate scales pitch and tempo like a sped-up clip. */
+        scheduleSynthPhrase: function(synth, descriptor, startTime, playbackRate = 1) {
+            let noteTime = startTime;
+            descriptor.notes.forEach((note, index) => {
+                const duration = descriptor.durations[index] / playbackRate;
+                const frequency = Tone.Frequency(note, 'midi').toFrequency() * playbackRate;
+                synth.triggerAttackRelease(frequency, duration * descriptor.gate, noteTime);
+                noteTime += duration;
+            });
+        },
+
+        /** Renders a synth descriptor once, e.g. a seek chirp. `playback` and `playAt` work as in `play`. */
+        playSynth: function(descriptor, context = 'general', playback = null, playAt = null) {
+            if (!descriptor?.notes?.length) {
+                Logger.warn(`[${context}] playSynth called with invalid descriptor.`);
+                return;
+            }
+            if (!audioContextStarted || typeof Tone === 'undefined') {
+                Logger.error(`[${context}] Cannot play synth ${descriptor.key}: Audio context not running.`);
+                return;
+            }
+            this.ensureTransportRunning();
+
+            try {
+                const playbackRate = playback?.playbackRate ?? 1;
+                const startTime = this.getToneTimeForServerTime(playAt);
+                const synth = this.createSynth(descriptor, playback ? this.applyPlaybackParams(playback) : null);
+                this.activeSeekSynths.push(synth);
+                this.scheduleSynthPhrase(synth, descriptor, startTime, playbackRate);
+                setTimeout(() => {
+                    if (!this.activeSeekSynths.includes(synth)) return; // Already stopped
+                    this.activeSeekSynths = this.activeSeekSynths.filter(s => s !== synth);
+                    synth.dispose();
+                }, (startTime - Tone.now() + this.getSynthDuration(descriptor, playbackRate)) * 1000 + 100);
+            } catch (e) {
+                Logger.error(`[${context}] Error playing synth ${descriptor.key}:`, e);
+            }
+        },
+
+        playAssignedTestSynth: async function(descriptor) {
+            const audioReady = await this.attemptStart();
+            if (!audioReady) {
+                return false;
+            }
+
+            this.playSynth(descriptor, 'waiting-room-test');
+            return true;
+        },
+
         /** Stops the looping playback of the unfound sound. */
         stopUnfoundSoundLoop: function() {
             if (this.activeUnfoundLoop) {
                 try {
                     this.activeUnfoundLoop.stop(Tone.now()).dispose();
-                    console.log("[Unfound Loop] Tone.Loop stopped and disposed.");
-                } catch(e) { console.error("[Unfound Loop] Error stopping/disposing Tone.Loop:", e); }
+                    Logger.debug("[Unfound Loop] Tone.Loop stopped and disposed.");
+                } catch(e) { Logger.error("[Unfound Loop] Error stopping/disposing Tone.Loop:", e); }
                 this.activeUnfoundLoop = null;
             }
             if (this.activeUnfoundPlayer) {
                  if (this.activeUnfoundPlayer.loaded && this.activeUnfoundPlayer.state === 'started') {
                      try { this.activeUnfoundPlayer.stop(Tone.now()); }
-                     catch(e) { console.error("[Unfound Loop] Error stopping active Tone.Player:", e); }
+                     catch(e) { Logger.error("[Unfound Loop] Error stopping active Tone.Player:", e); }
                  }
                 this.activeUnfoundPlayer = null;
             }
+            if (this.activeUnfoundSynth) {
+                try { this.activeUnfoundSynth.dispose(); }
+                catch(e) { Logger.error("[Unfound Loop] Error disposing synth:", e); }
+                this.activeUnfoundSynth = null;
+            }
             this.cancelVibration();
         },
 
-        /** Starts looping playback for the unfound sound reveal. */
-        startUnfoundSoundLoop: function(url) {
-            if (!url) { console.error("[Unfound Loop] Cannot start: No URL provided."); return; }
+        /** Starts looping playback for the unfound sound reveal, optionally from a server-time instant. */
+        startUnfoundSoundLoop: function(url, playAt = null) {
+            if (!url) { Logger.error("[Unfound Loop] Cannot start: No URL provided."); return; }
             if (!audioContextStarted || typeof Tone === 'undefined') {
-                console.error(`[Unfound Loop] Cannot start ${url}: Audio context not running.`); return;
+                Logger.error(`[Unfound Loop] Cannot start ${url}: Audio context not running.`); return;
             }
 
             this.stopUnfoundSoundLoop(); // Ensure previous loop is stopped
-            console.log(`[Unfound Loop] Attempting to start loop for: ${url}`);
+            Logger.debug(`[Unfound Loop] Attempting to start loop for: ${url}`);
             this.ensureTransportRunning();
 
             const player = this.audioPlayers[this.resolveSoundUrl(url)];
             if (player && player.loaded) {
                 const duration = player.buffer.duration;
                 if (!duration || duration <= 0) {
-                    console.error(`[Unfound Loop] Cannot start: Invalid audio duration for ${url}.`); return;
+                    Logger.error(`[Unfound Loop] Cannot start: Invalid audio duration for ${url}.`); return;
                 }
                 const intervalSeconds = duration + 1.0; // Loop slightly longer than duration
-                console.log(`[Unfound Loop] Player ${url} loaded (Duration: ${duration.toFixed(2)}s). Interval: ${intervalSeconds.toFixed(2)}s.`);
+                Logger.debug(`[Unfound Loop] Player ${url} loaded (Duration: ${duration.toFixed(2)}s). Interval: ${intervalSeconds.toFixed(2)}s.`);
 
                 this.activeUnfoundPlayer = player;
                 try {
@@ -464,34 +838,69 @@
                             this.activeUnfoundPlayer.start(time);
                             this.triggerRevealVibration(duration);
                         } else {
-                            console.warn("[Unfound Loop] Player became unloaded/invalid. Stopping loop.");
+                            Logger.warn("[Unfound Loop] Player became unloaded/invalid. Stopping loop.");
                             this.stopUnfoundSoundLoop();
                         }
-                    }, intervalSeconds).start(Tone.now());
-                    console.log(`[Unfound Loop] Tone.Loop started successfully for ${url}.`);
+                    }, intervalSeconds).start(this.getToneTimeForServerTime(playAt));
+                    Logger.debug(`[Unfound Loop] Tone.Loop started successfully for ${url}.`);
                 } catch (e) {
-                    console.error(`[Unfound Loop] Error starting Tone.Loop for ${url}:`, e);
+                    Logger.error(`[Unfound Loop] Error starting Tone.Loop for ${url}:`, e);
                     this.activeUnfoundPlayer = null;
                 }
             } else {
-                 console.error(`[Unfound Loop] Cannot start: Player ${url} not found or not loaded.`);
+                 Logger.error(`[Unfound Loop] Cannot start: Player ${url} not found or not loaded.`);
                  if (!player) this.loadPlayer(url); // Attempt load if missing
             }
         },
 
+        /** Starts looping a synth descriptor for the unfound sound reveal, optionally from a server-time instant. */
+        startUnfoundSynthLoop: function(descriptor, playAt = null) {
+            if (!descriptor?.notes?.length) { Logger.error("[Unfound Loop] Cannot start: No synth descriptor provided."); return; }
+            if (!audioContextStarted || typeof Tone === 'undefined') {
+                Logger.error(`[Unfound Loop] Cannot start synth ${descriptor.key}: Audio context not running.`); return;
+            }
+
+            this.stopUnfoundSoundLoop(); // Ensure previous loop is stopped
+            this.ensureTransportRunning();
+
+            const duration = this.getSynthDuration(descriptor);
+            const intervalSeconds = duration + 1.0; // Same spacing as sound file loops
+            try {
+                this.activeUnfoundSynth = this.createSynth(descriptor);
+                this.activeUnfoundLoop = new Tone.Loop(time => {
+                    if (this.activeUnfoundSynth) {
+                        this.scheduleSynthPhrase(this.activeUnfoundSynth, descriptor, time);
+                        this.triggerRevealVibration(duration);
+                    }
+                }, intervalSeconds).start(this.getToneTimeForServerTime(playAt));
+                Logger.debug(`[Unfound Loop] Tone.Loop started for synth ${descriptor.key}. Interval: ${intervalSeconds.toFixed(2)}s.`);
+            } catch (e) {
+                Logger.error(`[Unfound Loop] Error starting synth loop for ${descriptor.key}:`, e);
+                this.stopUnfoundSoundLoop();
+            }
+        },
+
         /** Resets audio state and disposes players. */
         resetState: function() {
-            console.log("[Audio Reset] Resetting audio state.");
+            Logger.debug("[Audio Reset] Resetting audio state.");
             this.stopUnfoundSoundLoop();
             this.stopAllSeekingSounds();
 
             Object.values(this.audioPlayers).forEach(player => {
                 try { player?.dispose(); }
-                catch (e) { console.warn("[Audio Reset] Error disposing player:", e); }
+                catch (e) { Logger.warn("[Audio Reset] Error disposing player:", e); }
             });
 
             this.audioPlayers = {};
+            if (this.seekEffects) {
+                try {
+                    this.seekEffects.filter.dispose();
+                    this.seekEffects.gain.dispose();
+                } catch (e) { Logger.warn("[Audio Reset] Error disposing effects chain:", e); }
+                this.seekEffects = null;
+            }
             this.knownAnimalSoundURLs = [];
+            this.preloadedSoundPackId = null;
             soundsPreloaded = false;
             // Keep audioContextStarted = true if it was already started
         }
@@ -503,6 +912,13 @@
         listenersAttached: false,
         browserWakeLockStatus: 'unknown',
         browserWakeLockProbeInFlight: null,
+        motionPermission: 'unknown', // 'granted' | 'denied' | 'unknown'
+        isWatchingMotion: false,
+        motionWatchStartedAt: 0,
+        nativeMotionListener: null,
+        webMotionHandler: null,
+        movingSince: null, // Start of the current run of above-threshold motion samples
+        lastMovingAt: 0,
 
         getNativePlugin: function() {
             return window.Capacitor?.Plugins?.HideNSeekDisplay || null;
@@ -561,7 +977,7 @@
                 this.wakeLockSentinel = null;
                 this.browserWakeLockStatus = 'failed';
                 this.notifyWakeLockStatusChange();
-                console.warn('Wake lock update failed:', error);
+                Logger.warn('Wake lock update failed:', error);
             }
         },
 
@@ -585,7 +1001,7 @@
                     await sentinel.release();
                 } catch (error) {
                     this.browserWakeLockStatus = 'failed';
-                    console.warn('Wake lock probe failed:', error);
+                    Logger.warn('Wake lock probe failed:', error);
                 } finally {
                     this.browserWakeLockProbeInFlight = null;
                     this.notifyWakeLockStatusChange();
@@ -601,7 +1017,7 @@
             const nativePlugin = this.getNativePlugin();
             if (nativePlugin?.setDimmed) {
                 nativePlugin.setDimmed({ enabled: isDimmed }).catch(error => {
-                    console.warn('Native dimming update failed:', error);
+                    Logger.warn('Native dimming update failed:', error);
                 });
             }
         },
@@ -624,7 +1040,7 @@
                     await nativePlugin.setKeepAwake({ enabled });
                     return;
                 } catch (error) {
-                    console.warn('Native keep-awake update failed:', error);
+                    Logger.warn('Native keep-awake update failed:', error);
                 }
             }
 
@@ -640,7 +1056,7 @@
                 try {
                     await this.wakeLockSentinel.release();
                 } catch (error) {
-                    console.warn('Wake lock release failed:', error);
+                    Logger.warn('Wake lock release failed:', error);
                 } finally {
                     this.wakeLockSentinel = null;
                 }
@@ -657,6 +1073,102 @@
             return false;
         },
 
+        /**
+         * Asks for motion access through the native bridge, or the web prompt on iOS Safari.
+         * Call from a user gesture: Safari only shows its prompt inside one.
+         */
+        requestMotionPermission: async function() {
+            const nativePlugin = this.getNativePlugin();
+            try {
+                if (nativePlugin?.requestMotionPermission) {
+                    const result = await nativePlugin.requestMotionPermission();
+                    this.motionPermission = result?.granted ? 'granted' : 'denied';
+                } else if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
+                    this.motionPermission = (await DeviceMotionEvent.requestPermission()) === 'granted' ? 'granted' : 'denied';
+                } else {
+                    this.motionPermission = typeof DeviceMotionEvent !== 'undefined' ? 'granted' : 'denied';
+                }
+            } catch (error) {
+                this.motionPermission = 'denied';
+                Logger.warn('Motion permission request failed:', error);
+            }
+            return this.motionPermission === 'granted';
+        },
+
+        shouldWatchMotionForState: function(state) {
+            const myPlayer = state?.players?.[myPlayerId];
+            if (!state || !myPlayer || this.motionPermission !== 'granted') return false;
+            return state.gameState === GAME_STATE.SEEKING && !myPlayer.isFound && !state.isPaused
+                && state.pickupDetection !== PICKUP_DETECTION.OFF;
+        },
+
+        startMotionWatch: async function() {
+            if (this.isWatchingMotion) return;
+            this.isWatchingMotion = true;
+            this.motionWatchStartedAt = Date.now();
+            this.movingSince = null;
+
+            const nativePlugin = this.getNativePlugin();
+            if (nativePlugin?.startMotionUpdates) {
+                try {
+                    this.nativeMotionListener = await nativePlugin.addListener('motion', sample => {
+                        this.handleMotionSample(sample.acceleration, sample.rotationRate);
+                    });
+                    await nativePlugin.startMotionUpdates({ intervalMs: MOTION_SAMPLE_INTERVAL_MS });
+                    if (!this.isWatchingMotion) this.stopNativeMotionUpdates(); // Stopped while starting
+                    return;
+                } catch (error) {
+                    Logger.warn('Native motion updates failed, falling back to web events:', error);
+                    this.stopNativeMotionUpdates();
+                }
+            }
+
+            this.webMotionHandler = (event) => {
+                const a = event.acceleration;
+                const r = event.rotationRate;
+                this.handleMotionSample(
+                    a ? Math.hypot(a.x || 0, a.y || 0, a.z || 0) : 0,
+                    r ? Math.hypot(r.alpha || 0, r.beta || 0, r.gamma || 0) : 0
+                );
+            };
+            window.addEventListener('devicemotion', this.webMotionHandler);
+        },
+
+        stopNativeMotionUpdates: function() {
+            if (!this.nativeMotionListener) return;
+            this.nativeMotionListener.remove();
+            this.nativeMotionListener = null;
+            this.getNativePlugin()?.stopMotionUpdates?.().catch(error => {
+                Logger.warn('Native motion stop failed:', error);
+            });
+        },
+
+        stopMotionWatch: function() {
+            if (!this.isWatchingMotion) return;
+            this.isWatchingMotion = false;
+            this.stopNativeMotionUpdates();
+            if (this.webMotionHandler) {
+                window.removeEventListener('devicemotion', this.webMotionHandler);
+                this.webMotionHandler = null;
+            }
+        },
+
+        /** Flags a pickup once above-threshold motion lasts PICKUP_MIN_MOTION_MS without a long gap. */
+        handleMotionSample: function(acceleration, rotationRate) {
+            const now = Date.now();
+            if (now - this.motionWatchStartedAt < MOTION_SETTLE_MS) return;
+            if (acceleration < PICKUP_ACCELERATION_THRESHOLD && rotationRate < PICKUP_ROTATION_THRESHOLD) return;
+
+            if (this.movingSince === null || now - this.lastMovingAt > PICKUP_MOTION_WINDOW_MS) {
+                this.movingSince = now;
+            }
+            this.lastMovingAt = now;
+            if (now - this.movingSince >= PICKUP_MIN_MOTION_MS) {
+                this.movingSince = null;
+                UIManager.handlePickupDetected();
+            }
+        },
+
         shouldKeepAwakeForState: function(state) {
             if (!state) return false;
             return state.gameState === GAME_STATE.HIDING || state.gameState === GAME_STATE.SEEKING;
@@ -664,25 +1176,366 @@
 
         syncWithState: async function(state) {
             this.setDimmed(this.shouldDimForState(state));
+            if (this.shouldWatchMotionForState(state)) {
+                void this.startMotionWatch();
+            } else {
+                this.stopMotionWatch();
+            }
             await this.setKeepAwake(this.shouldKeepAwakeForState(state));
         },
 
         reset: async function() {
+            this.stopMotionWatch();
             this.setDimmed(false);
             await this.setKeepAwake(false);
         }
     };
 
+    // =========================================================================
+    // == Results Export (Hider's download links)
+    // =========================================================================
+    const ResultsExport = {
+        roomCode: null,
+        exportKey: null,
+        requestedForRoom: null, // Avoids asking again on every state update
+
+        hasKey: function(roomCode) {
+            return !!this.exportKey && this.roomCode === roomCode;
+        },
+
+        /** Asks the server for the room's export key once; only the Hider gets one. */
+        requestKey: function(roomCode) {
+            if (this.hasKey(roomCode) || this.requestedForRoom === roomCode) return;
+            this.requestedForRoom = roomCode;
+            SocketClient.emitRequestExportKey();
+        },
+
+        setKey: function({ roomCode, exportKey }) {
+            this.roomCode = roomCode;
+            this.exportKey = exportKey;
+        },
+
+        /**
+         * Fetches the results with the key in a header, keeping it out of URLs, then saves them as a file.
+         * @param {'json'|'csv'} format
+         */
+        download: async function(format) {
+            const url = `${AppConfig.getServerUrl()}/rooms/${encodeURIComponent(this.roomCode || '')}/results.${format}`;
+            const response = await fetch(url, { headers: { 'X-Export-Key': this.exportKey || '' } });
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.error || 'Could not download results.');
+            }
+
+            const fileUrl = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = fileUrl;
+            link.download = `hide-n-seek-${this.roomCode}-results.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(fileUrl), 1000); // Give the browser time to start the save
+        },
+    };
+
+    // =========================================================================
+    // == Round Replay (Game Over timeline)
+    // =========================================================================
+    const RoundReplay = {
+        events: [], // Log entries from the start of Seeking on
+        phoneNumbers: [],
+        startAt: 0,
+        durationMs: 0,
+        positionMs: 0,
+        playInterval: null,
+        loadedLogLength: -1, // The log only grows during Game Over, so start time and length tell if it changed
+
+        /** Rebuilds the timeline when the round log changed. Returns false if there is nothing to replay. */
+        load: function(roundLog) {
+            const seekingStart = (roundLog || []).find(event => event.type === ROUND_EVENT.SEEKING_STARTED);
+            if (!seekingStart) {
+                this.stop();
+                this.startAt = 0;
+                this.loadedLogLength = -1;
+                return false;
+            }
+            if (seekingStart.at === this.startAt && roundLog.length === this.loadedLogLength) return true;
+
+            const wasAtEnd = seekingStart.at !== this.startAt || this.positionMs >= this.durationMs;
+            this.loadedLogLength = roundLog.length;
+            this.startAt = seekingStart.at;
+            this.events = roundLog.filter(event => event.at >= this.startAt);
+            this.durationMs = Math.max(1, this.events[this.events.length - 1].at - this.startAt);
+            this.phoneNumbers = seekingStart.phones.map(phone => phone.number);
+            this.positionMs = wasAtEnd ? this.durationMs : Math.min(this.positionMs, this.durationMs);
+
+            this._renderTracks();
+            this.setPosition(this.positionMs);
+            return true;
+        },
+
+        _renderTracks: function() {
+            DOMElements.replayTracks.innerHTML = '';
+            this.phoneNumbers.forEach(number => {
+                const row = document.createElement('div');
+                row.className = 'flex items-center gap-2';
+                const label = document.createElement('span');
+                label.className = 'replay-label text-xs text-gray-400';
+                label.textContent = `P${number}`;
+                const track = document.createElement('div');
+                track.className = 'relative flex-1 h-5 bg-gray-700 rounded';
+                track.dataset.replayTrack = number;
+                row.append(label, track);
+                DOMElements.replayTracks.appendChild(row);
+            });
+
+            this.events.forEach(event => {
+                const track = DOMElements.replayTracks.querySelector(`[data-replay-track="${event.playerNumber}"]`);
+                if (!track) return;
+                const marker = document.createElement('span');
+                marker.className = 'replay-marker';
+                marker.style.left = `${((event.at - this.startAt) / this.durationMs) * 100}%`;
+                marker.dataset.replayAt = event.at - this.startAt;
+                if (event.type === ROUND_EVENT.SOUND_PLAYED) {
+                    marker.classList.add('replay-dot', `replay-dot-${event.source}`);
+                } else if (event.type === ROUND_EVENT.FOUND) {
+                    marker.textContent = '✅';
+                } else if (event.type === ROUND_EVENT.REVEAL_ACTIVATED) {
+                    marker.textContent = '🔊';
+                } else {
+                    return;
+                }
+                marker.title = this.describeEvent(event);
+                track.appendChild(marker);
+            });
+        },
+
+        /** Moves the scrub position: later markers are dimmed and the recent events list follows. */
+        setPosition: function(positionMs) {
+            this.positionMs = Math.min(Math.max(0, positionMs), this.durationMs);
+            DOMElements.replayScrubber.value = Math.round((this.positionMs / this.durationMs) * 1000);
+            DOMElements.replayTime.textContent = `${UIManager.formatTime(this.positionMs / 1000)} / ${UIManager.formatTime(this.durationMs / 1000)}`;
+
+            DOMElements.replayTracks.querySelectorAll('[data-replay-at]').forEach(marker => {
+                marker.classList.toggle('replay-upcoming', Number(marker.dataset.replayAt) > this.positionMs);
+            });
+
+            DOMElements.replayEvents.innerHTML = '';
+            this.events
+                .filter(event => event.at - this.startAt <= this.positionMs)
+                .slice(-REPLAY_RECENT_EVENT_COUNT)
+                .reverse()
+                .forEach(event => {
+                    const li = document.createElement('li');
+                    li.textContent = `${UIManager.formatTime((event.at - this.startAt) / 1000)} - ${this.describeEvent(event)}`;
+                    DOMElements.replayEvents.appendChild(li);
+                });
+        },
+
+        togglePlay: function() {
+            if (this.playInterval) {
+                this.stop();
+                return;
+            }
+            if (this.positionMs >= this.durationMs) this.setPosition(0);
+            const stepMs = this.durationMs * (REPLAY_TICK_MS / REPLAY_PLAYBACK_MS);
+            this.playInterval = setInterval(() => {
+                this.setPosition(this.positionMs + stepMs);
+                if (this.positionMs >= this.durationMs) this.stop();
+            }, REPLAY_TICK_MS);
+            DOMElements.replayPlayBtn.textContent = '⏸';
+        },
+
+        stop: function() {
+            if (this.playInterval) clearInterval(this.playInterval);
+            this.playInterval = null;
+            if (DOMElements.replayPlayBtn) DOMElements.replayPlayBtn.textContent = '▶';
+        },
+
+        describeEvent: function(event) {
+            const phone = `Phone ${event.playerNumber}`;
+            switch (event.type) {
+                case ROUND_EVENT.SOUND_PLAYED:
+                    if (event.source === SOUND_PLAY_SOURCE.DECOY) return `${phone} played a decoy`;
+                    if (event.source === SOUND_PLAY_SOURCE.PING) return `${phone} chirped (pinged by ${event.requestedBy}, ${event.budgetSource} budget)`;
+                    return `${phone} chirped (${event.budgetSource} budget)`;
+                case ROUND_EVENT.FOUND:
+                    return `${phone} was found${event.foundBy ? ` by ${event.foundBy}` : ''}${event.duringReveal ? ' during the reveal' : ''}`;
+                case ROUND_EVENT.REVEAL_ACTIVATED:
+                    return `${phone} started its reveal sound`;
+                case ROUND_EVENT.HINT_RELEASED:
+                    return `Hint for ${phone}: ${event.text}${event.requestedBy ? ` (asked by ${event.requestedBy})` : ''}`;
+                case ROUND_EVENT.SEEKING_STARTED:
+                    return 'Seeking started';
+                case ROUND_EVENT.PAUSED:
+                    return `${event.member} paused the game`;
+                case ROUND_EVENT.RESUMED:
+                    return `${event.member} resumed the game`;
+                case ROUND_EVENT.GAME_ENDED:
+                    if (!event.winner) return 'Round ended early';
+                    return `${event.winner === WINNER_TYPE.SEEKERS ? 'Seekers' : 'Hider'} won`;
+                case ROUND_EVENT.DISCONNECTED:
+                    return `${event.member} lost connection`;
+                case ROUND_EVENT.RECONNECTED:
+                    return `${event.member} reconnected`;
+                case ROUND_EVENT.LEFT:
+                    return `${event.member} left`;
+                case ROUND_EVENT.JOINED:
+                    return `${event.member} joined`;
+                default:
+                    return event.type;
+            }
+        },
+    };
+
+    // =========================================================================
+    // == Custom Sound Manager (MediaRecorder + upload)
+    // =========================================================================
+    const CustomSoundManager = {
+        mediaRecorder: null,
+        recordedChunks: [],
+        recordingTimeout: null,
+
+        isRecordingSupported: function() {
+            return typeof MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+        },
+
+        isRecording: function() {
+            return this.mediaRecorder?.state === 'recording';
+        },
+
+        getUploadUrl: function() {
+            return `${AppConfig.getServerUrl()}/rooms/${encodeURIComponent(currentRoomState?.roomCode || '')}/custom-sound`;
+        },
+
+        /** Starts recording from the microphone. Resolves with the recorded Blob once recording stops. */
+        startRecording: async function() {
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            this.recordedChunks = [];
+            this.mediaRecorder = new MediaRecorder(stream);
+
+            const recordingDone = new Promise(resolve => {
+                this.mediaRecorder.ondataavailable = (event) => {
+                    if (event.data?.size > 0) this.recordedChunks.push(event.data);
+                };
+                this.mediaRecorder.onstop = () => {
+                    stream.getTracks().forEach(track => track.stop()); // Release the microphone
+                    clearTimeout(this.recordingTimeout);
+                    this.recordingTimeout = null;
+                    resolve(new Blob(this.recordedChunks, { type: this.mediaRecorder.mimeType || 'audio/webm' }));
+                };
+            });
+
+            this.mediaRecorder.start();
+            this.recordingTimeout = setTimeout(() => this.stopRecording(), MAX_CUSTOM_SOUND_DURATION_S * 1000 - RECORDING_STOP_MARGIN_MS);
+            return recordingDone;
+        },
+
+        stopRecording: function() {
+            if (this.isRecording()) this.mediaRecorder.stop();
+        },
+
+        /** Decodes a recorded or chosen clip, whatever its format, into samples. */
+        decode: async function(blob) {
+            const audioReady = await AudioManager.attemptStart();
+            if (!audioReady) throw new Error('Audio is not available on this device.');
+            return Tone.context.decodeAudioData(await blob.arrayBuffer());
+        },
+
+        /** Encodes decoded audio as mono 16-bit PCM WAV, the only format the server can measure. */
+        encodeWav: function(audioBuffer) {
+            const sampleCount = audioBuffer.length;
+            const sampleRate = audioBuffer.sampleRate;
+            const dataSize = sampleCount * 2;
+            const view = new DataView(new ArrayBuffer(44 + dataSize));
+            const writeAscii = (offset, text) => [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+
+            writeAscii(0, 'RIFF');
+            view.setUint32(4, 36 + dataSize, true);
+            writeAscii(8, 'WAVE');
+            writeAscii(12, 'fmt ');
+            view.setUint32(16, 16, true); // fmt chunk size
+            view.setUint16(20, 1, true); // PCM
+            view.setUint16(22, 1, true); // Mono
+            view.setUint32(24, sampleRate, true);
+            view.setUint32(28, sampleRate * 2, true); // Byte rate
+            view.setUint16(32, 2, true); // Block align
+            view.setUint16(34, 16, true); // Bits per sample
+            writeAscii(36, 'data');
+            view.setUint32(40, dataSize, true);
+
+            const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, index) => audioBuffer.getChannelData(index));
+            for (let i = 0; i < sampleCount; i++) {
+                const mixed = channels.reduce((sum, data) => sum + data[i], 0) / channels.length;
+                const sample = Math.max(-1, Math.min(1, mixed));
+                view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            }
+            return new Blob([view.buffer], { type: 'audio/wav' });
+        },
+
+        upload: async function(blob) {
+            if (blob.size > MAX_CUSTOM_SOUND_BYTES) {
+                throw new Error(`Sound file is too large (max ${MAX_CUSTOM_SOUND_BYTES / 1024} KB).`);
+            }
+
+            let audioBuffer;
+            try {
+                audioBuffer = await this.decode(blob);
+            } catch (error) {
+                Logger.warn('[Custom Sound] Failed to decode clip:', error);
+                throw new Error('This sound could not be read. Try a different file.');
+            }
+            if (audioBuffer.duration > MAX_CUSTOM_SOUND_DURATION_S) {
+                throw new Error(`Sound is too long (max ${MAX_CUSTOM_SOUND_DURATION_S}s).`);
+            }
+
+            // Uploaded as WAV so the server can check the duration from the file itself
+            const wavBlob = this.encodeWav(audioBuffer);
+            if (wavBlob.size > MAX_CUSTOM_SOUND_BYTES) {
+                throw new Error(`Sound is too large once converted (max ${MAX_CUSTOM_SOUND_BYTES / 1024} KB).`);
+            }
+
+            const response = await fetch(this.getUploadUrl(), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': wavBlob.type,
+                    'X-Session-Token': SessionStore.load()?.sessionToken || ''
+                },
+                body: wavBlob
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(result.error || 'Upload failed.');
+            return result.soundURL;
+        },
+
+        clear: async function() {
+            const response = await fetch(this.getUploadUrl(), {
+                method: 'DELETE',
+                headers: { 'X-Session-Token': SessionStore.load()?.sessionToken || '' }
+            });
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.error || 'Could not remove custom sound.');
+            }
+        }
+    };
+
     // =========================================================================
     // == UI Manager
     // =========================================================================
     const UIManager = {
         /** Caches all required DOM elements. */
         init: function() {
-            console.log("UIManager: Initializing and caching DOM elements.");
+            Logger.debug("UIManager: Initializing and caching DOM elements.");
             // Query all views
             DOMElements.views = document.querySelectorAll('.view');
             DOMElements.hiddenDisplayOverlay = document.getElementById('hiddenDisplayOverlay');
+            DOMElements.reconnectBanner = document.getElementById('reconnectBanner');
+            DOMElements.pausedBanner = document.getElementById('pausedBanner');
+            DOMElements.pausedBannerText = document.getElementById('pausedBannerText');
+            DOMElements.resumeRoundBtn = document.getElementById('resumeRoundBtn');
+            DOMElements.pauseSeekingBtn = document.getElementById('pauseSeekingBtn');
+            DOMElements.pauseCountdownBtn = document.getElementById('pauseCountdownBtn');
 
             // Cache elements for each view/component
             DOMElements.howToPlayModal = document.getElementById('howToPlayModal');
@@ -693,18 +1546,43 @@
             DOMElements.roomCodeInput = document.getElementById('roomCodeInput');
             DOMElements.joinRoomBtn = document.getElementById('joinRoomBtn');
             DOMElements.createRoomBtn = document.getElementById('createRoomBtn');
+            DOMElements.joinControllerBtn = document.getElementById('joinControllerBtn');
             DOMElements.joinError = document.getElementById('join-error');
+            DOMElements.joinPinPrompt = document.getElementById('joinPinPrompt');
+            DOMElements.joinPinInput = document.getElementById('joinPinInput');
+            DOMElements.submitJoinPinBtn = document.getElementById('submitJoinPinBtn');
 
             DOMElements.waitingRoomView = document.getElementById(VIEW_IDS.WAITING_ROOM);
             DOMElements.roomCodeDisplay = document.getElementById('roomCodeDisplay');
             DOMElements.playerList = document.getElementById('playerList');
+            DOMElements.controllerSummary = document.getElementById('controllerSummary');
+            DOMElements.roomAccessStatus = document.getElementById('roomAccessStatus');
             DOMElements.hiderControls = document.getElementById('hider-controls');
+            DOMElements.roomPinInput = document.getElementById('roomPinInput');
+            DOMElements.setRoomPinBtn = document.getElementById('setRoomPinBtn');
+            DOMElements.lockRoomToggle = document.getElementById('lockRoomToggle');
             DOMElements.seekTimeLimitInput = document.getElementById('seekTimeLimit');
             DOMElements.soundPlaysInput = document.getElementById('soundPlaysInput');
+            DOMElements.soundPackSelect = document.getElementById('soundPackSelect');
+            DOMElements.soundModeSelect = document.getElementById('soundModeSelect');
+            DOMElements.soundSchedulerSelect = document.getElementById('soundSchedulerSelect');
+            DOMElements.frenzyWindowRow = document.getElementById('frenzyWindowRow');
+            DOMElements.frenzyWindowInput = document.getElementById('frenzyWindowInput');
+            DOMElements.startVolumeInput = document.getElementById('startVolumeInput');
+            DOMElements.endVolumeInput = document.getElementById('endVolumeInput');
+            DOMElements.playbackRateInput = document.getElementById('playbackRateInput');
+            DOMElements.muffleModeSelect = document.getElementById('muffleModeSelect');
+            DOMElements.pingsPerRoundInput = document.getElementById('pingsPerRoundInput');
+            DOMElements.pingTimeCostInput = document.getElementById('pingTimeCostInput');
             DOMElements.browserIphoneAudioNotice = document.getElementById('browserIphoneAudioNotice');
             DOMElements.browserNotificationNotice = document.getElementById('browserNotificationNotice');
             DOMElements.browserAutoLockNotice = document.getElementById('browserAutoLockNotice');
             DOMElements.testVolumeBtn = document.getElementById('testVolumeBtn');
+            DOMElements.customSoundControls = document.getElementById('customSoundControls');
+            DOMElements.recordSoundBtn = document.getElementById('recordSoundBtn');
+            DOMElements.soundFileInput = document.getElementById('soundFileInput');
+            DOMElements.clearCustomSoundBtn = document.getElementById('clearCustomSoundBtn');
+            DOMElements.customSoundStatus = document.getElementById('customSoundStatus');
             DOMElements.updateSettingsBtn = document.getElementById('updateSettingsBtn');
             DOMElements.startHidingBtn = document.getElementById('startHidingBtn');
             DOMElements.startError = document.getElementById('start-error');
@@ -713,8 +1591,13 @@
             DOMElements.hidingView = document.getElementById(VIEW_IDS.HIDING);
             DOMElements.hidingInstructions = document.getElementById('hiding-instructions');
             DOMElements.hidingStatus = document.getElementById('hiding-status');
+            DOMElements.hidingPlayerList = document.getElementById('hidingPlayerList');
             DOMElements.confirmHiddenBtn = document.getElementById('confirmHiddenBtn');
             DOMElements.hidingConfirmedText = document.getElementById('hiding-confirmed-text');
+            DOMElements.hidingSpotDetails = document.getElementById('hiding-spot-details');
+            DOMElements.hidingZoneSelect = document.getElementById('hidingZoneSelect');
+            DOMElements.hidingNoteInput = document.getElementById('hidingNoteInput');
+            DOMElements.controllerHidingText = document.getElementById('controller-hiding-text');
             DOMElements.hidingCountdown = document.getElementById('hiding-countdown');
 
             DOMElements.seekingView = document.getElementById(VIEW_IDS.SEEKING);
@@ -723,6 +1606,51 @@
             DOMElements.hiddenDeviceUi = document.getElementById('hidden-device-ui');
             DOMElements.markSelfFoundBtn = document.getElementById('markSelfFoundBtn');
             DOMElements.alreadyFoundText = document.getElementById('alreadyFoundText');
+            DOMElements.pingControls = document.getElementById('ping-controls');
+            DOMElements.pingStatus = document.getElementById('pingStatus');
+            DOMElements.pingButtons = document.getElementById('pingButtons');
+            DOMElements.pingHistoryList = document.getElementById('pingHistoryList');
+            DOMElements.hintControls = document.getElementById('hint-controls');
+            DOMElements.foundCodeDisplay = document.getElementById('foundCodeDisplay');
+            DOMElements.foundCodeText = document.getElementById('foundCodeText');
+            DOMElements.verifyFoundControls = document.getElementById('verify-found-controls');
+            DOMElements.foundCodeInput = document.getElementById('foundCodeInput');
+            DOMElements.verifyFoundBtn = document.getElementById('verifyFoundBtn');
+            DOMElements.hintStatus = document.getElementById('hintStatus');
+            DOMElements.hintButtons = document.getElementById('hintButtons');
+            DOMElements.hintList = document.getElementById('hintList');
+            DOMElements.seekingError = document.getElementById('seeking-error');
+            DOMElements.hidingError = document.getElementById('hiding-error');
+            DOMElements.hidingTimeLeft = document.getElementById('hiding-time-left');
+            DOMElements.forceStartBtn = document.getElementById('forceStartBtn');
+            DOMElements.hidingTimeLimitInput = document.getElementById('hidingTimeLimitInput');
+            DOMElements.hidingTimeoutActionSelect = document.getElementById('hidingTimeoutActionSelect');
+            DOMElements.hidingZonesInput = document.getElementById('hidingZonesInput');
+            DOMElements.hintIntervalInput = document.getElementById('hintIntervalInput');
+            DOMElements.hintRequestsPerRoundInput = document.getElementById('hintRequestsPerRoundInput');
+            DOMElements.hintTimeCostInput = document.getElementById('hintTimeCostInput');
+            DOMElements.foundConfirmationSelect = document.getElementById('foundConfirmationSelect');
+            DOMElements.decoyRatioInput = document.getElementById('decoyRatioInput');
+            DOMElements.pickupDetectionSelect = document.getElementById('pickupDetectionSelect');
+            DOMElements.pickupDelayInput = document.getElementById('pickupDelayInput');
+            DOMElements.pickupPrompt = document.getElementById('pickupPrompt');
+            DOMElements.pickupPromptText = document.getElementById('pickupPromptText');
+            DOMElements.pickupFoundBtn = document.getElementById('pickupFoundBtn');
+            DOMElements.pickupDismissBtn = document.getElementById('pickupDismissBtn');
+            DOMElements.decoySummary = document.getElementById('decoySummary');
+            DOMElements.waitingScoreboard = document.getElementById('waitingScoreboard');
+            DOMElements.gameOverScoreboard = document.getElementById('gameOverScoreboard');
+            DOMElements.roundReplay = document.getElementById('roundReplay');
+            DOMElements.replayTracks = document.getElementById('replayTracks');
+            DOMElements.replayPlayBtn = document.getElementById('replayPlayBtn');
+            DOMElements.replayScrubber = document.getElementById('replayScrubber');
+            DOMElements.replayTime = document.getElementById('replayTime');
+            DOMElements.replayEvents = document.getElementById('replayEvents');
+            DOMElements.resultsExport = document.getElementById('resultsExport');
+            DOMElements.resultsExportKey = document.getElementById('resultsExportKey');
+            DOMElements.downloadResultsJsonBtn = document.getElementById('downloadResultsJsonBtn');
+            DOMElements.downloadResultsCsvBtn = document.getElementById('downloadResultsCsvBtn');
+            DOMElements.resultsExportError = document.getElementById('results-export-error');
 
             DOMElements.gameOverView = document.getElementById(VIEW_IDS.GAME_OVER);
             DOMElements.gameResult = document.getElementById('gameResult');
@@ -739,10 +1667,10 @@
                  // Check NodeLists separately
                  if (key === 'views') {
                      if (!DOMElements.views || DOMElements.views.length === 0) {
-                         console.error(`UIManager Init Error: View elements not found!`);
+                         Logger.error(`UIManager Init Error: View elements not found!`);
                      }
                  } else if (!DOMElements[key]) {
-                     console.error(`UIManager Init Error: Element with key "${key}" not found! Check HTML IDs.`);
+                     Logger.error(`UIManager Init Error: Element with key "${key}" not found! Check HTML IDs.`);
                  }
              }
         },
@@ -750,7 +1678,7 @@
         /** Shows the specified view and hides others. */
         showView: function(viewIdToShow) {
             activeViewId = viewIdToShow; // Update tracked view
-            console.log("Showing view:", viewIdToShow);
+            Logger.debug("Showing view:", viewIdToShow);
             DOMElements.views.forEach(view => {
                 const isActive = view.id === viewIdToShow;
                 view.classList.toggle('active', isActive);
@@ -762,6 +1690,11 @@
             });
         },
 
+        /** True when this device joined as a controller rather than a hidden phone. */
+        amIController: function(state) {
+            return !!state?.controllers?.[myPlayerId];
+        },
+
         /** Formats seconds into MM:SS. */
         formatTime: function(totalSeconds) {
             const seconds = Math.max(0, Math.floor(totalSeconds));
@@ -774,6 +1707,7 @@
         _renderPlayerList: function(listElement, players, myId, isFinal = false, activeUnfoundId = null) {
             if (!listElement) return;
             listElement.innerHTML = ''; // Clear previous list
+            const amIHider = players?.[myId]?.role === PLAYER_ROLE.HIDER;
 
             Object.values(players || {})
                 .sort((a, b) => a.number - b.number)
@@ -787,6 +1721,7 @@
                     if (isFinal) { // Game Over List
                         if (player.isFound) {
                             content += ' <span class="text-green-400">Found ✅</span>';
+                            if (player.foundBy) content += ` <span class="text-gray-400">by ${player.foundBy}</span>`;
                         } else {
                             content += ' <span class="text-red-400">Not Found ❌</span>';
                             if (player.id === activeUnfoundId) {
@@ -794,30 +1729,68 @@
                                 content += ' <span class="text-yellow-300">(Playing Sound...)</span>';
                             }
                         }
+                    } else if (currentRoomState?.gameState === GAME_STATE.HIDING) { // Hiding List
+                        content += player.isReady
+                            ? ': <span class="text-green-400">✅ Hidden</span>'
+                            : ': <span class="text-gray-400">⏳ Hiding</span>';
                     } else if (currentRoomState?.gameState === GAME_STATE.SEEKING) { // Seeking List
                          if (player.isFound) {
                             content += ': <span class="text-green-400">✅ Found</span>';
+                            if (player.foundBy) content += ` <span class="text-gray-400">by ${player.foundBy}</span>`;
                         } else {
                             content += ': <span class="text-gray-400">❓ Hidden</span>';
                         }
                     }
 
+                    if (player.isConnected === false) {
+                        content += ' <span class="text-orange-400">(reconnecting...)</span>';
+                    }
+
                     // Highlight self in waiting room without adding text
                     if (player.id === myId && !isFinal) {
                         li.classList.add('ring-1', 'ring-teal-400');
                     }
 
                     li.innerHTML = content;
+
+                    // The Hider can remove any other phone, whatever the phase
+                    if (amIHider && player.id !== myId) {
+                        li.appendChild(this._createModerationButtons(player));
+                    }
+
+                    // Game Over reveals where the Hider says each phone was
+                    if (isFinal && (player.hidingZone || player.hidingNote)) {
+                        const spot = document.createElement('p');
+                        spot.className = 'text-sm text-gray-400';
+                        spot.textContent = `📍 ${[player.hidingZone, player.hidingNote].filter(Boolean).join(' - ')}`;
+                        li.appendChild(spot);
+                    }
                     listElement.appendChild(li);
             });
         },
 
+        /** Kick and Ban buttons for one phone in the Hider's player lists. */
+        _createModerationButtons: function(player) {
+            const wrapper = document.createElement('span');
+            [['Kick', false], ['Ban', true]].forEach(([label, ban]) => {
+                const button = document.createElement('button');
+                button.className = 'moderation-btn';
+                button.textContent = label;
+                button.title = ban ? `Remove Phone ${player.number} and block it from rejoining` : `Remove Phone ${player.number}`;
+                button.dataset.kickPlayerId = player.id;
+                button.dataset.ban = String(ban);
+                wrapper.appendChild(button);
+            });
+            return wrapper;
+        },
+
         /** Updates the timer display during Seeking phase. Uses client-side constants. */
         updateTimerDisplay: function() {
             const state = currentRoomState;
             // Use client-side GAME_STATE constant
             if (state && state.gameState === GAME_STATE.SEEKING && state.seekStartTime) {
-                const elapsedSeconds = (Date.now() - state.seekStartTime) / 1000;
+                const now = state.isPaused ? state.pausedAt : ClockSync.now(); // The clock stands still while paused
+                const elapsedSeconds = (now - state.seekStartTime) / 1000;
                 const remainingSeconds = state.seekTimeLimit - elapsedSeconds;
                 DOMElements.timerDisplay.textContent = this.formatTime(remainingSeconds);
 
@@ -832,23 +1805,72 @@
             }
         },
 
+        /** Updates the hiding time limit countdown; hidden when there is no limit or the pre-seek countdown has begun. */
+        updateHidingTimerDisplay: function() {
+            const state = currentRoomState;
+            const isRunning = state?.gameState === GAME_STATE.HIDING && state.hidingTimeLimitS > 0
+                && !!state.hidingStartTime && !state.isPreSeekCountdownActive;
+            DOMElements.hidingTimeLeft.classList.toggle('hidden', !isRunning);
+
+            if (!isRunning) {
+                if (hidingTimerInterval) { clearInterval(hidingTimerInterval); hidingTimerInterval = null; }
+                return;
+            }
+            const remainingSeconds = state.hidingTimeLimitS - (ClockSync.now() - state.hidingStartTime) / 1000;
+            DOMElements.hidingTimeLeft.textContent = `Time left to hide: ${this.formatTime(remainingSeconds)}`;
+        },
+
         /** Updates the UI for the Waiting Room view. Uses client-side constants. */
         updateWaitingRoomUI: function(state) {
             DOMElements.roomCodeDisplay.textContent = state.roomCode;
             DOMElements.seekTimeLimitInput.value = state.seekTimeLimit;
+            DOMElements.hidingTimeLimitInput.value = state.hidingTimeLimitS;
+            DOMElements.hidingTimeoutActionSelect.value = state.hidingTimeoutAction;
             // Use state value if available, otherwise default from client-side constants
             DOMElements.soundPlaysInput.value = state.soundPlaysPerPlayer ?? DEFAULT_SOUND_PLAYS_PER_PLAYER;
+            this._renderSoundPackOptions(state);
+            DOMElements.soundModeSelect.value = state.soundMode;
+            DOMElements.soundPackSelect.disabled = state.soundMode === SOUND_MODE.SYNTH;
+            this._renderSoundSchedulerOptions(state);
+            DOMElements.frenzyWindowInput.value = state.frenzyWindowS;
+            this.updateFrenzyWindowVisibility();
+            DOMElements.startVolumeInput.value = state.startVolumePercent;
+            DOMElements.endVolumeInput.value = state.endVolumePercent;
+            DOMElements.playbackRateInput.value = state.playbackRatePercent;
+            DOMElements.muffleModeSelect.value = state.muffleMode;
+            DOMElements.decoyRatioInput.value = state.decoyRatioPercent ?? 0;
+            DOMElements.pickupDetectionSelect.value = state.pickupDetection;
+            DOMElements.pickupDelayInput.value = state.pickupAutoFoundDelayS;
+            DOMElements.pingsPerRoundInput.value = state.pingsPerRound ?? 0;
+            DOMElements.pingTimeCostInput.value = state.pingTimeCostS ?? 0;
+            DOMElements.hidingZonesInput.value = (state.hidingZones || []).join(', ');
+            DOMElements.hintIntervalInput.value = state.hintIntervalS ?? 0;
+            DOMElements.hintRequestsPerRoundInput.value = state.hintRequestsPerRound ?? 0;
+            DOMElements.hintTimeCostInput.value = state.hintTimeCostS ?? 0;
+            DOMElements.foundConfirmationSelect.value = state.foundConfirmation;
+            DOMElements.hidingNoteInput.value = ''; // Each round starts with a blank note
+            this._renderRoomAccess(state);
 
             this._renderPlayerList(DOMElements.playerList, state.players, myPlayerId);
+            this._renderScoreboard(DOMElements.waitingScoreboard, state);
+
+            const controllerCount = Object.keys(state.controllers || {}).length;
+            DOMElements.controllerSummary.textContent = controllerCount > 0
+                ? `+ ${controllerCount} controller device${controllerCount === 1 ? '' : 's'}`
+                : '';
 
             const myPlayerData = state.players[myPlayerId];
             // Use client-side PLAYER_ROLE constant
             const amIHider = myPlayerData?.role === PLAYER_ROLE.HIDER;
-            const hasAssignedSound = !!myPlayerData?.uniqueAnimalSoundURL;
+            const hasAssignedSound = !!(myPlayerData?.uniqueAnimalSoundURL || myPlayerData?.synthSound);
 
             DOMElements.hiderControls.classList.toggle('hidden', !amIHider);
             DOMElements.browserIphoneAudioNotice.classList.toggle('hidden', AppConfig.isNativeApp());
+            DOMElements.testVolumeBtn.classList.toggle('hidden', this.amIController(state));
             DOMElements.testVolumeBtn.disabled = !hasAssignedSound;
+            DOMElements.customSoundControls.classList.toggle('hidden', !myPlayerData);
+            DOMElements.recordSoundBtn.classList.toggle('hidden', !CustomSoundManager.isRecordingSupported());
+            DOMElements.clearCustomSoundBtn.classList.toggle('hidden', !myPlayerData?.hasCustomSound);
             this.updateWaitingRoomNoticeVisibility();
             void DisplayManager.probeBrowserWakeLock();
 
@@ -869,6 +1891,64 @@
             this.clearError(DOMElements.joinError); // Clear join error when entering waiting room
         },
 
+        /** Shows the room's lock and PIN status (the PIN itself only reaches the Hider), and fills the Hider's access controls. */
+        _renderRoomAccess: function(state) {
+            const statusParts = [];
+            if (state.isLocked) statusParts.push('Locked: no one else can join');
+            if (state.joinPin) statusParts.push(`PIN to join: ${state.joinPin}`);
+            else if (state.hasJoinPin) statusParts.push('A PIN is needed to join');
+            DOMElements.roomAccessStatus.textContent = statusParts.join(' · ');
+            DOMElements.roomAccessStatus.classList.toggle('hidden', statusParts.length === 0);
+
+            DOMElements.roomPinInput.value = state.joinPin || '';
+            DOMElements.lockRoomToggle.checked = !!state.isLocked;
+        },
+
+        /** Opens the join view's PIN prompt for a room that asked for one. */
+        showJoinPinPrompt: function(message) {
+            DOMElements.joinPinPrompt.classList.remove('hidden');
+            DOMElements.joinPinInput.value = '';
+            DOMElements.joinPinInput.focus();
+            this.showError(message, DOMElements.joinError, 0);
+        },
+
+        hideJoinPinPrompt: function() {
+            pendingPinJoin = null;
+            DOMElements.joinPinPrompt.classList.add('hidden');
+            DOMElements.joinPinInput.value = '';
+            this.clearError(DOMElements.joinError);
+        },
+
+        /** Fills the Hider's sound schedule picker and selects the room's current schedule. */
+        _renderSoundSchedulerOptions: function(state) {
+            const select = DOMElements.soundSchedulerSelect;
+            select.innerHTML = '';
+            (state.soundSchedulers || []).forEach(scheduler => {
+                const option = document.createElement('option');
+                option.value = scheduler.id;
+                option.textContent = scheduler.name;
+                select.appendChild(option);
+            });
+            select.value = state.soundSchedulerId;
+        },
+
+        updateFrenzyWindowVisibility: function() {
+            DOMElements.frenzyWindowRow.classList.toggle('hidden', DOMElements.soundSchedulerSelect.value !== FRENZY_SCHEDULER_ID);
+        },
+
+        /** Fills the Hider's sound pack picker and selects the room's current pack. */
+        _renderSoundPackOptions: function(state) {
+            const select = DOMElements.soundPackSelect;
+            select.innerHTML = '';
+            (state.soundPacks || []).forEach(pack => {
+                const option = document.createElement('option');
+                option.value = pack.id;
+                option.textContent = `${pack.name} (${pack.soundCount} sounds)`;
+                select.appendChild(option);
+            });
+            select.value = state.soundPackId;
+        },
+
         updateWaitingRoomNoticeVisibility: function() {
             const showBrowserPhoneNotices = !AppConfig.isNativeApp() && BrowserEnvironment.hasTouchInput();
             DOMElements.browserIphoneAudioNotice.classList.toggle('hidden', !BrowserEnvironment.isAppleMobileBrowser());
@@ -883,13 +1963,49 @@
             Object.values(state.players).forEach(p => { if (p.isReady) readyCount++; });
 
             DOMElements.hidingStatus.textContent = `(${readyCount}/${Object.keys(state.players).length} phones confirmed hidden)`;
+            this._renderPlayerList(DOMElements.hidingPlayerList, state.players, myPlayerId);
 
             const isClientReady = myPlayerData?.isReady;
-            DOMElements.confirmHiddenBtn.classList.toggle('hidden', !!isClientReady);
+            const amIController = this.amIController(state);
+            DOMElements.confirmHiddenBtn.classList.toggle('hidden', !!isClientReady || amIController);
+            DOMElements.hidingSpotDetails.classList.toggle('hidden', !!isClientReady || amIController);
+            // Clear any found code left over from the last round
+            DOMElements.foundCodeDisplay.classList.add('hidden');
+            DOMElements.markSelfFoundBtn.classList.remove('hidden');
+            this._renderHidingZoneOptions(state.hidingZones || []);
             DOMElements.hidingConfirmedText.classList.toggle('hidden', !isClientReady);
+            DOMElements.controllerHidingText.classList.toggle('hidden', !amIController);
+            DOMElements.hidingInstructions.classList.toggle('hidden', amIController);
+            DOMElements.forceStartBtn.classList.toggle('hidden', !this.canControlRound(state) || !!state.isPreSeekCountdownActive);
+
+            this.updateHidingTimerDisplay();
+            if (!hidingTimerInterval && !DOMElements.hidingTimeLeft.classList.contains('hidden')) {
+                hidingTimerInterval = setInterval(() => this.updateHidingTimerDisplay(), 1000);
+            }
             // Countdown display handled by 'preSeekCountdown' event
         },
 
+        /** Fills the zone picker from the room's zones, keeping the current pick when the list is unchanged. */
+        _renderHidingZoneOptions: function(zones) {
+            const select = DOMElements.hidingZoneSelect;
+            select.classList.toggle('hidden', zones.length === 0);
+            const zonesKey = zones.join('\n');
+            if (select.dataset.zonesKey === zonesKey) return;
+
+            select.dataset.zonesKey = zonesKey;
+            select.innerHTML = '';
+            const noZoneOption = document.createElement('option');
+            noZoneOption.value = '';
+            noZoneOption.textContent = 'Zone (optional)';
+            select.appendChild(noZoneOption);
+            zones.forEach(zone => {
+                const option = document.createElement('option');
+                option.value = zone;
+                option.textContent = zone;
+                select.appendChild(option);
+            });
+        },
+
          /** Updates the pre-seek countdown display. */
         updatePreSeekCountdown: function(value) {
              if (activeViewId === VIEW_IDS.HIDING) { // Only update if view is active
@@ -915,13 +2031,153 @@
 
             const myPlayerData = state.players[myPlayerId];
             const isClientFound = myPlayerData?.isFound;
-            DOMElements.hiddenDeviceUi.classList.toggle('hidden', !!isClientFound);
+            DOMElements.hiddenDeviceUi.classList.toggle('hidden', !!isClientFound || !myPlayerData);
             DOMElements.alreadyFoundText.classList.toggle('hidden', !isClientFound);
+            if (isClientFound) this.closePickupPrompt();
+
+            const usesFoundCodes = state.foundConfirmation === FOUND_CONFIRMATION.CODE;
+            DOMElements.markSelfFoundBtn.textContent = usesFoundCodes ? 'Found? Show Code' : 'Mark Phone as Found';
+            if (isClientFound && !DOMElements.foundCodeDisplay.classList.contains('hidden')) {
+                DOMElements.foundCodeDisplay.classList.add('hidden');
+                AudioManager.play(SOUND_URLS.FOUND, 'found'); // A seeker just entered this phone's code
+            }
+            DOMElements.verifyFoundControls.classList.toggle('hidden', !usesFoundCodes || !(this.amIController(state) || !!isClientFound));
+
+            this.updatePingControls(state);
+            this.updateHintControls(state);
+        },
+
+        /** Fills a scoreboard panel with the last round's results and the room's cumulative standings. */
+        _renderScoreboard: function(container, state) {
+            const result = state.lastRoundResult;
+            container.classList.toggle('hidden', !result);
+            if (!result) return;
+
+            const part = (name) => container.querySelector(`[data-scoreboard="${name}"]`);
+            const addLine = (list, text) => {
+                const li = document.createElement('li');
+                li.textContent = text;
+                list.appendChild(li);
+            };
+
+            part('roundTitle').textContent = result.winner
+                ? `Round ${result.round}: ${result.winner === WINNER_TYPE.SEEKERS ? 'Seekers' : 'Hider'} won`
+                : `Round ${result.round}: ended early`;
+            part('roundSummary').textContent = result.hiderNumber !== null ? `Phone ${result.hiderNumber} was the Hider` : '';
+
+            const phoneList = part('roundPhones');
+            phoneList.innerHTML = '';
+            result.phones.forEach(phone => {
+                const sounds = `${phone.soundsPlayed} sound${phone.soundsPlayed === 1 ? '' : 's'}`;
+                const outcome = phone.foundAtMs !== null
+                    ? `found at ${this.formatTime(phone.foundAtMs / 1000)}${phone.foundBy ? ` by ${phone.foundBy}` : ''}`
+                    : 'never found';
+                addLine(phoneList, `Phone ${phone.number}: ${outcome} (${sounds})`);
+            });
+
+            const standings = state.standings;
+            const standingsList = part('standings');
+            standingsList.innerHTML = '';
+            addLine(standingsList, `Rounds played: ${standings.roundsPlayed}`);
+            standings.hiderWins.forEach(hider => {
+                addLine(standingsList, `Hider Phone ${hider.number}: ${hider.wins}/${hider.rounds} round${hider.rounds === 1 ? '' : 's'} won`);
+            });
+            standings.fastestFinds.forEach((find, index) => {
+                addLine(standingsList, `Fastest find #${index + 1}: Phone ${find.number} in ${this.formatTime(find.foundAtMs / 1000)} (round ${find.round})`);
+            });
+            standings.bestHidingSpots.forEach((spot, index) => {
+                const where = spot.hidingZone ? `, ${spot.hidingZone}` : '';
+                const survived = spot.wasFound ? this.formatTime(spot.survivedMs / 1000) : 'the whole round';
+                addLine(standingsList, `Best hiding spot #${index + 1}: Phone ${spot.number} survived ${survived} (round ${spot.round}${where})`);
+            });
+        },
+
+        /** Renders the seeker ping budget, one ping button per unfound phone, and the ping history. */
+        updatePingControls: function(state) {
+            const pingsEnabled = (state.pingsPerRound || 0) > 0;
+            DOMElements.pingControls.classList.toggle('hidden', !pingsEnabled);
+            if (!pingsEnabled) return;
+
+            const timeCostText = state.pingTimeCostS > 0 ? ` (each costs ${state.pingTimeCostS}s)` : '';
+            DOMElements.pingStatus.textContent = `Pings left: ${state.pingsRemaining}/${state.pingsPerRound}${timeCostText}`;
+
+            // Hidden phones can't ping; controllers and already-found phones can
+            const myPlayerData = state.players[myPlayerId];
+            const canPing = (this.amIController(state) || !!myPlayerData?.isFound) && state.pingsRemaining > 0;
+
+            DOMElements.pingButtons.innerHTML = '';
+            if (canPing) {
+                Object.values(state.players)
+                    .filter(p => !p.isFound)
+                    .sort((a, b) => a.number - b.number)
+                    .forEach(player => {
+                        const button = document.createElement('button');
+                        button.className = 'bg-orange-600 hover:bg-orange-700 text-white font-semibold py-1 px-3 rounded shadow-md text-sm disabled:opacity-50 disabled:cursor-not-allowed';
+                        button.textContent = `Ping Phone ${player.number}`;
+                        button.dataset.playerId = player.id;
+                        button.disabled = player.isConnected === false;
+                        DOMElements.pingButtons.appendChild(button);
+                    });
+            }
+
+            DOMElements.pingHistoryList.innerHTML = '';
+            (state.pingHistory || []).forEach(ping => {
+                const li = document.createElement('li');
+                li.textContent = `${this.formatTime(ping.elapsedMs / 1000)} - ${ping.requestedBy} pinged Phone ${ping.playerNumber}`;
+                DOMElements.pingHistoryList.appendChild(li);
+            });
+        },
+
+        /** Renders the hint schedule and request budget, one hint button per unfound phone with hints left, and the hints so far. */
+        updateHintControls: function(state) {
+            const hintsEnabled = state.hintIntervalS > 0 || state.hintRequestsPerRound > 0;
+            DOMElements.hintControls.classList.toggle('hidden', !hintsEnabled);
+            if (!hintsEnabled) return;
+
+            const timeCostText = state.hintTimeCostS > 0 ? ` (each costs ${state.hintTimeCostS}s)` : '';
+            const scheduleText = state.hintIntervalS > 0 ? `A free hint every ${this.formatTime(state.hintIntervalS)}. ` : '';
+            DOMElements.hintStatus.textContent = state.hintRequestsPerRound > 0
+                ? `${scheduleText}Hint requests left: ${state.hintRequestsRemaining}/${state.hintRequestsPerRound}${timeCostText}`
+                : scheduleText.trim();
+
+            // Same seekers as pings: controllers and already-found phones
+            const myPlayerData = state.players[myPlayerId];
+            const canRequest = (this.amIController(state) || !!myPlayerData?.isFound) && state.hintRequestsRemaining > 0;
+
+            DOMElements.hintButtons.innerHTML = '';
+            if (canRequest) {
+                Object.values(state.players)
+                    .filter(p => !p.isFound && p.hintsLeft > 0)
+                    .sort((a, b) => a.number - b.number)
+                    .forEach(player => {
+                        const button = document.createElement('button');
+                        button.className = 'bg-purple-600 hover:bg-purple-700 text-white font-semibold py-1 px-3 rounded shadow-md text-sm';
+                        button.textContent = `Hint for Phone ${player.number}`;
+                        button.dataset.playerId = player.id;
+                        DOMElements.hintButtons.appendChild(button);
+                    });
+            }
+
+            DOMElements.hintList.innerHTML = '';
+            (state.hints || []).forEach(hint => {
+                const li = document.createElement('li');
+                const label = hint.kind === HINT_KIND.ZONE ? 'is in' : 'note:';
+                const source = hint.requestedBy ? ` (asked by ${hint.requestedBy})` : '';
+                li.textContent = `${this.formatTime(hint.elapsedMs / 1000)} - Phone ${hint.playerNumber} ${label} ${hint.text}${source}`;
+                DOMElements.hintList.appendChild(li);
+            });
         },
 
         /** Updates the UI for the Game Over view. Uses client-side constants. */
         updateGameOverUI: function(state) {
             this._renderPlayerList(DOMElements.finalPlayerList, state.players, myPlayerId, true, state.activeUnfoundPlayerId);
+            this._renderScoreboard(DOMElements.gameOverScoreboard, state);
+            DOMElements.roundReplay.classList.toggle('hidden', !RoundReplay.load(state.roundLog));
+            this.updateResultsExport(state);
+
+            const decoysPlayed = state.decoysPlayed || 0;
+            DOMElements.decoySummary.classList.toggle('hidden', !(state.decoyRatioPercent > 0 || decoysPlayed > 0));
+            DOMElements.decoySummary.textContent = `${decoysPlayed} decoy sound${decoysPlayed === 1 ? ' was' : 's were'} played this round.`;
 
             // Use client-side WINNER_TYPE constants
             if (state.winner === WINNER_TYPE.SEEKERS) {
@@ -940,7 +2196,10 @@
                 const isClientFound = myPlayerData?.isFound;
 
                 if (state.activeUnfoundPlayerId) {
-                    DOMElements.hiderWinStatus.textContent = `Finding remaining phones...`;
+                    const activePhone = state.players[state.activeUnfoundPlayerId];
+                    DOMElements.hiderWinStatus.textContent = activePhone
+                        ? `Finding remaining phones... (Phone ${activePhone.number} is playing)`
+                        : `Finding remaining phones...`;
                     DOMElements.hiderWinStatus.className = 'text-xl text-yellow-300';
                 } else {
                     DOMElements.hiderWinStatus.textContent = 'All remaining phones revealed!';
@@ -954,13 +2213,53 @@
             } else {
                 DOMElements.gameResult.textContent = 'Game Over';
                 DOMElements.gameResult.className = 'text-3xl font-semibold text-gray-400';
-                DOMElements.gameOverReason.textContent = 'The game ended unexpectedly.';
+                DOMElements.gameOverReason.textContent = 'The round was ended before anyone won.';
                 DOMElements.hiderWinRevealSection.classList.add('hidden');
                 AudioManager.stopUnfoundSoundLoop();
             }
             DOMElements.playAgainBtn.classList.remove('hidden');
         },
 
+        /** Shows the Hider the export key and download links once the room has finished rounds. */
+        updateResultsExport: function(state) {
+            const isHider = state.players?.[myPlayerId]?.role === PLAYER_ROLE.HIDER;
+            const hasRounds = (state.standings?.roundsPlayed || 0) > 0;
+            if (isHider && hasRounds) ResultsExport.requestKey(state.roomCode);
+
+            const canDownload = isHider && hasRounds && ResultsExport.hasKey(state.roomCode);
+            DOMElements.resultsExport.classList.toggle('hidden', !canDownload);
+            if (!canDownload) return;
+            DOMElements.resultsExportKey.textContent = ResultsExport.exportKey;
+        },
+
+        /** Updates the record button label and custom sound status line. */
+        setCustomSoundStatus: function(message, isRecording = false) {
+            DOMElements.recordSoundBtn.textContent = isRecording ? 'Stop Recording' : 'Record My Sound';
+            DOMElements.customSoundStatus.textContent = message;
+        },
+
+        /** The Hider's phone is usually hidden, so controllers can pause and force the start as well. */
+        canControlRound: function(state) {
+            return this.amIController(state) || state?.players?.[myPlayerId]?.role === PLAYER_ROLE.HIDER;
+        },
+
+        /** Shows the paused banner on every view and the pause buttons to those allowed to use them. */
+        updatePauseUI: function(state) {
+            const canControlRound = this.canControlRound(state);
+            const isPaused = !!state?.isPaused;
+
+            DOMElements.pausedBanner.classList.toggle('hidden', !isPaused);
+            DOMElements.pausedBannerText.textContent = canControlRound ? 'Game paused.' : 'Game paused. Waiting for the Hider to resume...';
+            DOMElements.resumeRoundBtn.classList.toggle('hidden', !canControlRound);
+            DOMElements.pauseSeekingBtn.classList.toggle('hidden', !canControlRound || isPaused || state?.gameState !== GAME_STATE.SEEKING);
+            DOMElements.pauseCountdownBtn.classList.toggle('hidden', !canControlRound || isPaused || !state?.isPreSeekCountdownActive);
+        },
+
+        /** Shows or hides the banner displayed while the socket tries to resume the session. */
+        setReconnecting: function(isReconnecting) {
+            DOMElements.reconnectBanner.classList.toggle('hidden', !isReconnecting);
+        },
+
         /** Shows an error message in a specified element, optionally clearing after delay. */
         showError: function(message, element, clearDelayMs = 5000) {
             if (element) {
@@ -976,7 +2275,7 @@
                  }
             } else {
                 // Fallback alert if no specific element provided for current view
-                console.error("Error Display Element not found for message:", message);
+                Logger.error("Error Display Element not found for message:", message);
                 alert(`Error: ${message}`); // Use alert as last resort
             }
         },
@@ -991,6 +2290,7 @@
         /** Updates UI immediately on user action for better responsiveness. */
         handleConfirmHiddenClick: function() {
              DOMElements.confirmHiddenBtn.classList.add('hidden');
+             DOMElements.hidingSpotDetails.classList.add('hidden');
              DOMElements.hidingConfirmedText.classList.remove('hidden');
              DisplayManager.setDimmed(true);
         },
@@ -1002,6 +2302,60 @@
              DisplayManager.setDimmed(false);
         },
 
+        /** What "found" means for this room: mark the phone found, or show its code for a seeker to enter. */
+        triggerFoundAction: function() {
+            if (currentRoomState?.foundConfirmation === FOUND_CONFIRMATION.CODE) {
+                SocketClient.emitRequestFoundCode(); // A seeker has to confirm the find
+                return;
+            }
+            this.handleMarkSelfFoundClick(); // Immediate UI update + sound
+            SocketClient.emitMarkSelfFound(); // Inform server
+        },
+        isPickupPromptOpen: function() {
+            return !DOMElements.pickupPrompt.classList.contains('hidden');
+        },
+        isSeekingRunning: function() {
+            return currentRoomState?.gameState === GAME_STATE.SEEKING && !currentRoomState.isPaused;
+        },
+        /** Motion says this dimmed phone was picked up: silence it and ask (or count down to) whether it was found. */
+        handlePickupDetected: function() {
+            if (this.isPickupPromptOpen() || !this.isSeekingRunning()) return;
+            AudioManager.stopAllSeekingSounds();
+            DOMElements.pickupPrompt.classList.remove('hidden');
+
+            if (currentRoomState?.pickupDetection !== PICKUP_DETECTION.AUTO) {
+                DOMElements.pickupPromptText.textContent = 'Did a seeker find this phone?';
+                return;
+            }
+            let secondsLeft = currentRoomState.pickupAutoFoundDelayS;
+            DOMElements.pickupPromptText.textContent = `Marking this phone as found in ${secondsLeft}s...`;
+            pickupCountdownInterval = setInterval(() => {
+                if (!this.isSeekingRunning()) { // Left Seeking or paused between state updates
+                    this.closePickupPrompt();
+                    return;
+                }
+                secondsLeft--;
+                if (secondsLeft > 0) {
+                    DOMElements.pickupPromptText.textContent = `Marking this phone as found in ${secondsLeft}s...`;
+                    return;
+                }
+                this.closePickupPrompt();
+                this.triggerFoundAction();
+            }, 1000);
+        },
+        closePickupPrompt: function() {
+            if (pickupCountdownInterval) clearInterval(pickupCountdownInterval);
+            pickupCountdownInterval = null;
+            DOMElements.pickupPrompt.classList.add('hidden');
+        },
+
+        /** Code mode: shows the code a seeker has to enter to mark this phone found. */
+        showFoundCode: function(code) {
+            DOMElements.markSelfFoundBtn.classList.add('hidden');
+            DOMElements.foundCodeText.textContent = code;
+            DOMElements.foundCodeDisplay.classList.remove('hidden');
+            DisplayManager.setDimmed(false);
+        },
         handleMarkFoundGameOverClick: function() {
              AudioManager.stopUnfoundSoundLoop(); // Stop the reveal sound immediately
              DOMElements.markFoundGameOverBtn.classList.add('hidden');
@@ -1019,22 +2373,23 @@
 
         /** Initialize Socket.IO connection and base event listeners. */
         init: async function() {
-            console.log("SocketClient: Initializing connection...");
+            Logger.debug("SocketClient: Initializing connection...");
             if (AppConfig.requiresConfiguredServerUrl()) {
-                 console.error("Native app mode requires a configured backend URL in app-config.js.");
+                 Logger.error("Native app mode requires a configured backend URL in app-config.js.");
                  UIManager.showError("Set the Render backend URL in public/app-config.js before syncing the iPhone app.", DOMElements.joinError, 0);
                  return;
             }
 
             const libraryLoaded = await this.ensureClientLibraryLoaded();
             if (!libraryLoaded) {
-                 console.error("Socket.IO client library not found after dynamic load attempt.");
+                 Logger.error("Socket.IO client library not found after dynamic load attempt.");
                  UIManager.showError("Connection library failed to load. Please refresh.", DOMElements.joinError, 0);
                  return;
             }
 
             const serverUrl = AppConfig.getServerUrl();
-            this.socket = serverUrl ? io(serverUrl, { transports: ['websocket', 'polling'] }) : io();
+            const auth = { deviceId: DeviceIdentity.get() }; // Lets the server enforce room bans per device
+            this.socket = serverUrl ? io(serverUrl, { transports: ['websocket', 'polling'], auth }) : io({ auth });
             this.setupEventListeners();
         },
 
@@ -1045,7 +2400,7 @@
                 await ScriptLoader.load(AppConfig.getSocketIoScriptUrl());
                 return typeof io !== 'undefined';
             } catch (error) {
-                console.error('Failed to load Socket.IO client library:', error);
+                Logger.error('Failed to load Socket.IO client library:', error);
                 return false;
             }
         },
@@ -1056,17 +2411,34 @@
             this.socket.on('disconnect', this.handleDisconnect.bind(this));
             this.socket.on('errorMsg', this.handleErrorMsg.bind(this));
             this.socket.on('updateState', this.handleUpdateState.bind(this));
+            this.socket.on('sessionToken', this.handleSessionToken.bind(this));
+            this.socket.on('sessionExpired', this.handleSessionExpired.bind(this));
             this.socket.on('preSeekCountdown', this.handlePreSeekCountdown.bind(this));
             this.socket.on('playSound', this.handlePlaySound.bind(this));
             this.socket.on('becomeActiveUnfound', this.handleBecomeActiveUnfound.bind(this));
             this.socket.on('playVictoryMelody', this.handlePlayVictoryMelody.bind(this));
+            this.socket.on('foundCode', this.handleFoundCode.bind(this));
+            this.socket.on('exportKey', this.handleExportKey.bind(this));
+            this.socket.on('joinPinRequired', this.handleJoinPinRequired.bind(this));
+            this.socket.on('clockSyncResponse', ClockSync.handleResponse.bind(ClockSync));
         },
 
         // --- Event Handlers ---
 
         handleConnect: function() {
-            console.log('Connected to server. Socket ID:', this.socket.id);
+            Logger.info('Connected to server. Socket ID:', this.socket.id);
             myPlayerId = this.socket.id;
+            ClockSync.start();
+
+            // Try to reclaim our seat from a previous connection (dropped Wi-Fi, reloaded page)
+            const session = SessionStore.load();
+            if (session) {
+                Logger.info(`Resuming session for room ${session.roomCode}...`);
+                isResumingOnLoad = !currentRoomState;
+                this.emitResumeSession(session);
+                return;
+            }
+
             // If not already in a game (e.g., fresh load or after disconnect error), ensure Join view
             if (!currentRoomState) {
                  UIManager.showView(VIEW_IDS.JOIN);
@@ -1074,50 +2446,96 @@
         },
 
         handleDisconnect: function(reason) {
-            console.warn('Disconnected from server:', reason);
-            AudioManager.resetState(); // Stop sounds, clear audio state
+            Logger.warn('Disconnected from server:', reason);
+            ClockSync.stop();
+
+            // Socket.IO reconnects on its own unless the disconnect was deliberate
+            const canResume = !!currentRoomState && !!SessionStore.load()
+                && reason !== 'io client disconnect' && reason !== 'io server disconnect';
+            if (canResume) {
+                AudioManager.stopAllSeekingSounds();
+                AudioManager.stopUnfoundSoundLoop();
+                UIManager.setReconnecting(true);
+                return;
+            }
 
             // Use client-side GAME_STATE constants
             const wasInGame = currentRoomState && currentRoomState.gameState !== GAME_STATE.WAITING && currentRoomState.gameState !== GAME_STATE.GAME_OVER;
 
-            // Clear local state and timers
-            currentRoomState = null;
+            this.clearRoomState();
             myPlayerId = null;
-            if (seekTimerInterval) clearInterval(seekTimerInterval);
-            seekTimerInterval = null;
 
             // Show Join view and potentially an error message
             UIManager.showView(VIEW_IDS.JOIN);
-            if (wasInGame && reason !== 'io client disconnect') { // Don't show error for manual leave
+            if (reason === 'io server disconnect') { // e.g. the server's rate limiter dropped this socket; it won't reconnect by itself
+                 UIManager.showError('Disconnected by the server. Reload the page to reconnect.', DOMElements.joinError);
+            } else if (wasInGame && reason !== 'io client disconnect') { // Don't show error for manual leave
                  UIManager.showError('Connection lost. Please rejoin or create a new game.', DOMElements.joinError);
             } else {
                  UIManager.clearError(DOMElements.joinError); // Clear any previous errors on normal disconnect/leave
             }
+        },
+
+        handleSessionToken: function(session) {
+            Logger.info(`Received session token for room ${session?.roomCode}.`);
+            SessionStore.save(session);
+        },
+
+        handleSessionExpired: function(message) {
+            Logger.warn('Could not resume session:', message);
+            SessionStore.clear();
+            this.clearRoomState();
+            UIManager.showView(VIEW_IDS.JOIN);
+            // A leftover session from an earlier visit isn't news to someone who just opened the page
+            if (!isResumingOnLoad) UIManager.showError(message, DOMElements.joinError);
+            isResumingOnLoad = false;
+        },
+
+        /** Drops all local room state, timers, audio and display modes. */
+        clearRoomState: function() {
+            currentRoomState = null;
+            if (seekTimerInterval) clearInterval(seekTimerInterval);
+            seekTimerInterval = null;
+            if (hidingTimerInterval) clearInterval(hidingTimerInterval);
+            hidingTimerInterval = null;
+            AudioManager.resetState(); // Stop sounds, clear audio state
+            UIManager.setReconnecting(false);
             void DisplayManager.reset();
         },
 
         handleErrorMsg: function(message) {
-            console.error('Server Error Message:', message);
+            Logger.error('Server Error Message:', message);
             // Determine the correct error element based on the active view
             let errorElement = null;
             switch (activeViewId) {
                 case VIEW_IDS.JOIN:         errorElement = DOMElements.joinError; break;
                 case VIEW_IDS.WAITING_ROOM: errorElement = DOMElements.startError; break;
+                case VIEW_IDS.HIDING:       errorElement = DOMElements.hidingError; break;
+                case VIEW_IDS.SEEKING:      errorElement = DOMElements.seekingError; break;
                 // Add cases for other views if they need specific error displays
-                default: console.warn("No specific error element found for active view:", activeViewId);
+                default: Logger.warn("No specific error element found for active view:", activeViewId);
             }
              UIManager.showError(message, errorElement); // UIManager handles fallback alert
         },
 
         handleUpdateState: function(state) {
-            console.log('Received state update:', state.gameState, state);
+            Logger.debug('Received state update:', state.gameState, state);
             const previousState = currentRoomState?.gameState;
             currentRoomState = state; // Update local state *first*
+            isResumingOnLoad = false;
+            UIManager.setReconnecting(false);
+            if (pendingPinJoin) UIManager.hideJoinPinPrompt(); // The join went through
 
             // --- Audio Preloading ---
-            // Use client-side GAME_STATE constants
-            if ((state.gameState === GAME_STATE.WAITING || state.gameState === GAME_STATE.HIDING) && !soundsPreloaded && audioContextStarted) {
-                AudioManager.preloadGameSounds(state.players);
+            // A new sound pack replaces the previously preloaded assets
+            if (soundsPreloaded && state.soundPack?.id !== AudioManager.preloadedSoundPackId) {
+                AudioManager.resetState();
+            }
+            // Also covers phones that resumed a session mid-game
+            if (!soundsPreloaded && audioContextStarted) {
+                AudioManager.preloadGameSounds(state.players, state.soundPack);
+            } else if (soundsPreloaded) {
+                AudioManager.loadAssignedSounds(state.players); // Picks up newly uploaded custom sounds
             }
 
              // --- Reset Audio on New Game ---
@@ -1125,7 +2543,7 @@
              if (state.gameState === GAME_STATE.WAITING && previousState === GAME_STATE.GAME_OVER) {
                  AudioManager.resetState();
                  if (audioContextStarted) { // Preload immediately if possible
-                      AudioManager.preloadGameSounds(state.players);
+                      AudioManager.preloadGameSounds(state.players, state.soundPack);
                  }
              }
 
@@ -1135,16 +2553,24 @@
                 clearInterval(seekTimerInterval);
                 seekTimerInterval = null;
             }
+            if (state.gameState !== GAME_STATE.HIDING && hidingTimerInterval) {
+                clearInterval(hidingTimerInterval);
+                hidingTimerInterval = null;
+            }
             // Stop unfound loop unless specifically active
             // Use client-side GAME_STATE and WINNER_TYPE constants
             if (!(state.gameState === GAME_STATE.GAME_OVER && state.winner === WINNER_TYPE.HIDER && state.activeUnfoundPlayerId === myPlayerId)) {
                  AudioManager.stopUnfoundSoundLoop();
             }
-            // Stop seeking sounds when leaving Seeking state
+            // Stop seeking sounds when leaving Seeking state or pausing
             // Use client-side GAME_STATE constant
-            if (previousState === GAME_STATE.SEEKING && state.gameState !== GAME_STATE.SEEKING) {
+            if ((previousState === GAME_STATE.SEEKING && state.gameState !== GAME_STATE.SEEKING) || state.isPaused) {
                 AudioManager.stopAllSeekingSounds();
             }
+            // A pickup countdown only makes sense while Seeking runs; don't let it mark the phone found later
+            if (state.gameState !== GAME_STATE.SEEKING || state.isPaused) {
+                UIManager.closePickupPrompt();
+            }
 
             // --- Update UI Based on New Game State ---
             // Use client-side GAME_STATE constants
@@ -1166,11 +2592,13 @@
                     UIManager.updateGameOverUI(state);
                     break;
                 default:
-                    console.warn("Unknown game state received:", state.gameState, ". Resetting to Join view.");
+                    Logger.warn("Unknown game state received:", state.gameState, ". Resetting to Join view.");
                     AudioManager.stopUnfoundSoundLoop();
                     UIManager.showView(VIEW_IDS.JOIN);
                     break;
             }
+            if (state.gameState !== GAME_STATE.GAME_OVER) RoundReplay.stop();
+            UIManager.updatePauseUI(state);
             void DisplayManager.syncWithState(state);
         },
 
@@ -1179,20 +2607,41 @@
         },
 
         handlePlaySound: function(profile) {
+            if (UIManager.isPickupPromptOpen()) return; // Stay quiet while the seeker holding it decides
             if (currentRoomState?.players[myPlayerId] && !currentRoomState.players[myPlayerId].isFound) {
-                AudioManager.play(profile.soundURL, 'seeking');
+                if (profile.synth) {
+                    AudioManager.playSynth(profile.synth, 'seeking', profile.playback, profile.playAt);
+                } else {
+                    AudioManager.play(profile.soundURL, 'seeking', profile.playback, profile.playAt);
+                }
             }
         },
 
         handleBecomeActiveUnfound: function(profile) {
-            console.log('Received becomeActiveUnfound request:', profile.soundURL);
+            Logger.debug('Received becomeActiveUnfound request:', profile.soundURL || profile.synth?.key);
             AudioManager.stopAllSeekingSounds(); // Ensure seeking sounds stopped
             // UI update for button visibility handled by updateGameOverUI via state update
-            AudioManager.startUnfoundSoundLoop(profile.soundURL);
+            if (profile.synth) {
+                AudioManager.startUnfoundSynthLoop(profile.synth, profile.playAt);
+            } else {
+                AudioManager.startUnfoundSoundLoop(profile.soundURL, profile.playAt);
+            }
         },
 
+        handleFoundCode: function(code) {
+            UIManager.showFoundCode(code);
+        },
+        handleJoinPinRequired: function(data) {
+            Logger.info(`Room ${data.roomCode} requires a PIN.`);
+            pendingPinJoin = { roomCode: data.roomCode, asController: data.asController };
+            UIManager.showJoinPinPrompt(data.message);
+        },
+        handleExportKey: function(data) {
+            ResultsExport.setKey(data);
+            if (currentRoomState?.gameState === GAME_STATE.GAME_OVER) UIManager.updateResultsExport(currentRoomState);
+        },
         handlePlayVictoryMelody: function() {
-            console.log('Received playVictoryMelody request.');
+            Logger.debug('Received playVictoryMelody request.');
             AudioManager.stopAllSeekingSounds();
             AudioManager.stopUnfoundSoundLoop();
             AudioManager.play(SOUND_URLS.VICTORY, 'victory');
@@ -1200,27 +2649,67 @@
 
         // --- Emitters ---
 
-        emitJoinRoom: function(code) {
-            this.socket.emit('joinRoom', code);
+        emitClockSyncRequest: function(clientSendTime) {
+            this.socket.emit('clockSyncRequest', clientSendTime);
+        },
+        emitJoinRoom: function(code, pin) {
+            this.socket.emit('joinRoom', code, pin);
+        },
+        emitResumeSession: function(session) {
+            this.socket.emit('resumeSession', session);
+        },
+        emitJoinRoomAsController: function(code, pin) {
+            this.socket.emit('joinRoomAsController', code, pin);
         },
         emitCreateRoom: function() {
             this.socket.emit('createRoom');
         },
          emitLeaveRoom: function() {
+             SessionStore.clear(); // Leaving on purpose gives up the seat
              this.socket.emit('leaveRoom');
          },
         emitUpdateSettings: function(settings) {
             this.socket.emit('updateSettings', settings);
         },
+        emitUpdateRoomAccess: function(access) {
+            this.socket.emit('updateRoomAccess', access);
+        },
+        emitKickPlayer: function(playerId, ban) {
+            this.socket.emit('kickPlayer', { playerId, ban });
+        },
         emitStartHiding: function() {
             this.socket.emit('startHiding');
         },
-        emitConfirmHidden: function() {
-            this.socket.emit('confirmHidden');
+        emitConfirmHidden: function(details) {
+            this.socket.emit('confirmHidden', details);
         },
         emitMarkSelfFound: function() {
             this.socket.emit('markSelfFound');
         },
+        emitRequestExportKey: function() {
+            this.socket.emit('requestExportKey');
+        },
+        emitRequestFoundCode: function() {
+            this.socket.emit('requestFoundCode');
+        },
+        emitVerifyFoundCode: function(code) {
+            this.socket.emit('verifyFoundCode', code);
+        },
+        emitPingPhone: function(playerId) {
+            this.socket.emit('pingPhone', playerId);
+        },
+        emitRequestHint: function(playerId) {
+            this.socket.emit('requestHint', playerId);
+        },
+        emitForceStartSeeking: function() {
+            this.socket.emit('forceStartSeeking');
+        },
+        emitPauseRound: function() {
+            this.socket.emit('pauseRound');
+        },
+        emitResumeRound: function() {
+            this.socket.emit('resumeRound');
+        },
         emitRequestPlayAgain: function() {
             this.socket.emit('requestPlayAgain');
         }
@@ -1230,7 +2719,7 @@
     // == Main Application Logic & Event Listeners
     // =========================================================================
     function setupUIEventListeners() {
-        console.log("Setting up UI event listeners.");
+        Logger.debug("Setting up UI event listeners.");
 
         // --- Modal ---
         DOMElements.howToPlayBtn.addEventListener('click', () => {
@@ -1248,12 +2737,25 @@
             // Use client-side ROOM_CODE_LENGTH constant
             if (code.length === ROOM_CODE_LENGTH) {
                 UIManager.clearError(DOMElements.joinError);
+                UIManager.hideJoinPinPrompt(); // A new attempt; the server asks again if this room has a PIN
                 SocketClient.emitJoinRoom(code);
             } else {
                 UIManager.showError(`Room code must be ${ROOM_CODE_LENGTH} characters.`, DOMElements.joinError);
             }
         });
 
+        DOMElements.joinControllerBtn.addEventListener('click', () => {
+            AudioManager.attemptStart(); // Controllers still hear the victory/found sounds
+            const code = DOMElements.roomCodeInput.value.trim().toUpperCase();
+            if (code.length === ROOM_CODE_LENGTH) {
+                UIManager.clearError(DOMElements.joinError);
+                UIManager.hideJoinPinPrompt();
+                SocketClient.emitJoinRoomAsController(code);
+            } else {
+                UIManager.showError(`Room code must be ${ROOM_CODE_LENGTH} characters.`, DOMElements.joinError);
+            }
+        });
+
         DOMElements.createRoomBtn.addEventListener('click', () => {
             AudioManager.attemptStart(); // Crucial: Start audio on first interaction
             UIManager.clearError(DOMElements.joinError);
@@ -1269,17 +2771,88 @@
              }
          });
 
+        DOMElements.submitJoinPinBtn.addEventListener('click', () => {
+            if (!pendingPinJoin) return;
+            const pin = DOMElements.joinPinInput.value.trim();
+            if (!JOIN_PIN_PATTERN.test(pin)) {
+                UIManager.showError(`The PIN is ${MIN_JOIN_PIN_LENGTH}-${MAX_JOIN_PIN_LENGTH} digits.`, DOMElements.joinError, 0);
+                return;
+            }
+            UIManager.clearError(DOMElements.joinError);
+            if (pendingPinJoin.asController) {
+                SocketClient.emitJoinRoomAsController(pendingPinJoin.roomCode, pin);
+            } else {
+                SocketClient.emitJoinRoom(pendingPinJoin.roomCode, pin);
+            }
+        });
+
+        DOMElements.joinPinInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') DOMElements.submitJoinPinBtn.click();
+        });
+
         // --- Waiting Room View ---
+        // Each access control sends the room's current value for the other, so saving one never changes both
+        DOMElements.setRoomPinBtn.addEventListener('click', () => {
+            const pin = DOMElements.roomPinInput.value.trim();
+            if (pin && !JOIN_PIN_PATTERN.test(pin)) {
+                UIManager.showError(`The PIN must be ${MIN_JOIN_PIN_LENGTH}-${MAX_JOIN_PIN_LENGTH} digits (leave empty for none).`, DOMElements.startError);
+                return;
+            }
+            UIManager.clearError(DOMElements.startError);
+            SocketClient.emitUpdateRoomAccess({ joinPin: pin || null, isLocked: !!currentRoomState?.isLocked });
+        });
+
+        DOMElements.lockRoomToggle.addEventListener('change', () => {
+            SocketClient.emitUpdateRoomAccess({ joinPin: currentRoomState?.joinPin || null, isLocked: DOMElements.lockRoomToggle.checked });
+        });
+
         DOMElements.updateSettingsBtn.addEventListener('click', () => {
             const timeLimit = parseInt(DOMElements.seekTimeLimitInput.value, 10);
+            const hidingTimeLimit = parseInt(DOMElements.hidingTimeLimitInput.value, 10);
             const soundPlays = parseInt(DOMElements.soundPlaysInput.value, 10);
+            const pingsPerRound = parseInt(DOMElements.pingsPerRoundInput.value, 10);
+            const pingTimeCost = parseInt(DOMElements.pingTimeCostInput.value, 10);
+            const frenzyWindow = parseInt(DOMElements.frenzyWindowInput.value, 10);
+            const startVolume = parseInt(DOMElements.startVolumeInput.value, 10);
+            const endVolume = parseInt(DOMElements.endVolumeInput.value, 10);
+            const playbackRate = parseInt(DOMElements.playbackRateInput.value, 10);
+            const decoyRatio = parseInt(DOMElements.decoyRatioInput.value, 10);
+            const pickupDelay = parseInt(DOMElements.pickupDelayInput.value, 10);
+            const hidingZones = DOMElements.hidingZonesInput.value.split(',').map(zone => zone.trim()).filter(Boolean);
+            const hintInterval = parseInt(DOMElements.hintIntervalInput.value, 10);
+            const hintRequests = parseInt(DOMElements.hintRequestsPerRoundInput.value, 10);
+            const hintTimeCost = parseInt(DOMElements.hintTimeCostInput.value, 10);
 
             // Basic client-side validation using client-side constants
             let errorMsg = '';
             if (isNaN(timeLimit) || timeLimit < MIN_SEEK_TIME_LIMIT_S || timeLimit > MAX_SEEK_TIME_LIMIT_S) {
                  errorMsg = `Time limit must be ${MIN_SEEK_TIME_LIMIT_S}-${MAX_SEEK_TIME_LIMIT_S}s.`;
+            } else if (isNaN(hidingTimeLimit) || (hidingTimeLimit !== 0 && (hidingTimeLimit < MIN_HIDING_TIME_LIMIT_S || hidingTimeLimit > MAX_HIDING_TIME_LIMIT_S))) {
+                 errorMsg = `Hiding time limit must be 0 (off) or ${MIN_HIDING_TIME_LIMIT_S}-${MAX_HIDING_TIME_LIMIT_S}s.`;
             } else if (isNaN(soundPlays) || soundPlays < MIN_SOUND_PLAYS || soundPlays > MAX_SOUND_PLAYS) {
                  errorMsg = `Sounds per phone must be ${MIN_SOUND_PLAYS}-${MAX_SOUND_PLAYS}.`;
+            } else if (isNaN(pingsPerRound) || pingsPerRound < MIN_PINGS_PER_ROUND || pingsPerRound > MAX_PINGS_PER_ROUND) {
+                 errorMsg = `Pings per round must be ${MIN_PINGS_PER_ROUND}-${MAX_PINGS_PER_ROUND}.`;
+            } else if (isNaN(pingTimeCost) || pingTimeCost < MIN_PING_TIME_COST_S || pingTimeCost > MAX_PING_TIME_COST_S) {
+                 errorMsg = `Ping time cost must be ${MIN_PING_TIME_COST_S}-${MAX_PING_TIME_COST_S}s.`;
+            } else if (isNaN(frenzyWindow) || frenzyWindow < MIN_FRENZY_WINDOW_S || frenzyWindow > MAX_FRENZY_WINDOW_S) {
+                 errorMsg = `Frenzy window must be ${MIN_FRENZY_WINDOW_S}-${MAX_FRENZY_WINDOW_S}s.`;
+            } else if ([startVolume, endVolume].some(v => isNaN(v) || v < MIN_VOLUME_PERCENT || v > MAX_VOLUME_PERCENT)) {
+                 errorMsg = `Volume must be ${MIN_VOLUME_PERCENT}-${MAX_VOLUME_PERCENT}%.`;
+            } else if (isNaN(playbackRate) || playbackRate < MIN_PLAYBACK_RATE_PERCENT || playbackRate > MAX_PLAYBACK_RATE_PERCENT) {
+                 errorMsg = `Playback speed must be ${MIN_PLAYBACK_RATE_PERCENT}-${MAX_PLAYBACK_RATE_PERCENT}%.`;
+            } else if (isNaN(pickupDelay) || pickupDelay < MIN_PICKUP_AUTO_FOUND_DELAY_S || pickupDelay > MAX_PICKUP_AUTO_FOUND_DELAY_S) {
+                 errorMsg = `Auto-found delay must be ${MIN_PICKUP_AUTO_FOUND_DELAY_S}-${MAX_PICKUP_AUTO_FOUND_DELAY_S}s.`;
+            } else if (isNaN(decoyRatio) || decoyRatio < MIN_DECOY_RATIO_PERCENT || decoyRatio > MAX_DECOY_RATIO_PERCENT) {
+                 errorMsg = `Decoy sounds must be ${MIN_DECOY_RATIO_PERCENT}-${MAX_DECOY_RATIO_PERCENT}%.`;
+            } else if (hidingZones.length > MAX_HIDING_ZONES || hidingZones.some(zone => zone.length > MAX_ZONE_LABEL_LENGTH)) {
+                 errorMsg = `Up to ${MAX_HIDING_ZONES} zones, each at most ${MAX_ZONE_LABEL_LENGTH} characters.`;
+            } else if (isNaN(hintInterval) || (hintInterval !== 0 && (hintInterval < MIN_HINT_INTERVAL_S || hintInterval > MAX_HINT_INTERVAL_S))) {
+                 errorMsg = `Hint interval must be 0 (off) or ${MIN_HINT_INTERVAL_S}-${MAX_HINT_INTERVAL_S}s.`;
+            } else if (isNaN(hintRequests) || hintRequests < MIN_HINT_REQUESTS_PER_ROUND || hintRequests > MAX_HINT_REQUESTS_PER_ROUND) {
+                 errorMsg = `Seeker hints must be ${MIN_HINT_REQUESTS_PER_ROUND}-${MAX_HINT_REQUESTS_PER_ROUND}.`;
+            } else if (isNaN(hintTimeCost) || hintTimeCost < MIN_HINT_TIME_COST_S || hintTimeCost > MAX_HINT_TIME_COST_S) {
+                 errorMsg = `Hint time cost must be ${MIN_HINT_TIME_COST_S}-${MAX_HINT_TIME_COST_S}s.`;
             }
 
             if (errorMsg) {
@@ -1288,68 +2861,220 @@
                 UIManager.clearError(DOMElements.startError);
                 SocketClient.emitUpdateSettings({
                     seekTimeLimit: timeLimit,
-                    soundPlaysPerPlayer: soundPlays
+                    hidingTimeLimitS: hidingTimeLimit,
+                    hidingTimeoutAction: DOMElements.hidingTimeoutActionSelect.value,
+                    soundPlaysPerPlayer: soundPlays,
+                    soundPackId: DOMElements.soundPackSelect.value,
+                    soundMode: DOMElements.soundModeSelect.value,
+                    soundSchedulerId: DOMElements.soundSchedulerSelect.value,
+                    frenzyWindowS: frenzyWindow,
+                    startVolumePercent: startVolume,
+                    endVolumePercent: endVolume,
+                    playbackRatePercent: playbackRate,
+                    muffleMode: DOMElements.muffleModeSelect.value,
+                    decoyRatioPercent: decoyRatio,
+                    pickupDetection: DOMElements.pickupDetectionSelect.value,
+                    pickupAutoFoundDelayS: pickupDelay,
+                    pingsPerRound: pingsPerRound,
+                    pingTimeCostS: pingTimeCost,
+                    hidingZones: hidingZones,
+                    hintIntervalS: hintInterval,
+                    hintRequestsPerRound: hintRequests,
+                    hintTimeCostS: hintTimeCost,
+                    foundConfirmation: DOMElements.foundConfirmationSelect.value
                 });
             }
         });
 
+        DOMElements.soundSchedulerSelect.addEventListener('change', () => UIManager.updateFrenzyWindowVisibility());
+
         DOMElements.startHidingBtn.addEventListener('click', () => {
             UIManager.clearError(DOMElements.startError);
             SocketClient.emitStartHiding();
         });
 
         DOMElements.testVolumeBtn.addEventListener('click', async () => {
-            const soundUrl = currentRoomState?.players?.[myPlayerId]?.uniqueAnimalSoundURL;
-            await AudioManager.playAssignedTestSound(soundUrl);
+            const myPlayerData = currentRoomState?.players?.[myPlayerId];
+            if (!myPlayerData?.uniqueAnimalSoundURL && myPlayerData?.synthSound) {
+                await AudioManager.playAssignedTestSynth(myPlayerData.synthSound);
+            } else {
+                await AudioManager.playAssignedTestSound(myPlayerData?.uniqueAnimalSoundURL);
+            }
+        });
+
+        DOMElements.recordSoundBtn.addEventListener('click', async () => {
+            if (CustomSoundManager.isRecording()) {
+                CustomSoundManager.stopRecording();
+                return;
+            }
+
+            let blob;
+            try {
+                const recording = CustomSoundManager.startRecording();
+                UIManager.setCustomSoundStatus(`Recording... (max ${MAX_CUSTOM_SOUND_DURATION_S}s)`, true);
+                blob = await recording;
+            } catch (error) {
+                Logger.warn('[Custom Sound] Recording failed:', error);
+                UIManager.setCustomSoundStatus('Microphone unavailable. Try choosing a file instead.');
+                return;
+            }
+
+            try {
+                UIManager.setCustomSoundStatus('Uploading...');
+                await CustomSoundManager.upload(blob);
+                UIManager.setCustomSoundStatus('Custom sound saved! Tap "Test My Sound" to hear it.');
+            } catch (error) {
+                UIManager.setCustomSoundStatus(error.message);
+            }
+        });
+
+        DOMElements.soundFileInput.addEventListener('change', async () => {
+            const file = DOMElements.soundFileInput.files?.[0];
+            DOMElements.soundFileInput.value = ''; // Allow picking the same file again
+            if (!file) return;
+
+            try {
+                UIManager.setCustomSoundStatus('Uploading...');
+                await CustomSoundManager.upload(file);
+                UIManager.setCustomSoundStatus('Custom sound saved! Tap "Test My Sound" to hear it.');
+            } catch (error) {
+                UIManager.setCustomSoundStatus(error.message);
+            }
+        });
+
+        DOMElements.clearCustomSoundBtn.addEventListener('click', async () => {
+            try {
+                await CustomSoundManager.clear();
+                UIManager.setCustomSoundStatus('Using the sound pack again.');
+            } catch (error) {
+                UIManager.setCustomSoundStatus(error.message);
+            }
         });
 
         DOMElements.backToJoinBtn.addEventListener('click', () => {
-            console.log("Back button clicked.");
+            Logger.debug("Back button clicked.");
             SocketClient.emitLeaveRoom(); // Tell server we are leaving
             UIManager.showView(VIEW_IDS.JOIN); // Immediately switch view locally
             // Clear local state to prevent issues
-            currentRoomState = null;
+            SocketClient.clearRoomState();
             // Keep player ID if socket still connected, otherwise null
             myPlayerId = SocketClient.socket?.id || null;
-            if (seekTimerInterval) clearInterval(seekTimerInterval); // Clear timer if running
-            seekTimerInterval = null;
-            AudioManager.resetState(); // Reset audio state as well
-            void DisplayManager.reset();
         });
 
         // --- Hiding Phase View ---
         DOMElements.confirmHiddenBtn.addEventListener('click', () => {
+            const details = {
+                note: DOMElements.hidingNoteInput.value.trim(),
+                zone: DOMElements.hidingZoneSelect.value || null,
+            };
+            if (currentRoomState?.pickupDetection !== PICKUP_DETECTION.OFF) {
+                void DisplayManager.requestMotionPermission(); // Needs this tap for the iOS Safari prompt
+            }
             UIManager.handleConfirmHiddenClick(); // Immediate UI update
-            SocketClient.emitConfirmHidden(); // Inform server
+            SocketClient.emitConfirmHidden(details); // Inform server
+        });
+
+        DOMElements.pauseCountdownBtn.addEventListener('click', () => SocketClient.emitPauseRound());
+
+        DOMElements.forceStartBtn.addEventListener('click', () => {
+            UIManager.clearError(DOMElements.hidingError);
+            SocketClient.emitForceStartSeeking();
         });
 
         // --- Seeking Phase View ---
-        DOMElements.markSelfFoundBtn.addEventListener('click', () => {
-            UIManager.handleMarkSelfFoundClick(); // Immediate UI update + sound
-            SocketClient.emitMarkSelfFound(); // Inform server
+        DOMElements.markSelfFoundBtn.addEventListener('click', () => UIManager.triggerFoundAction());
+
+        DOMElements.pickupFoundBtn.addEventListener('click', () => {
+            UIManager.closePickupPrompt();
+            UIManager.triggerFoundAction();
+        });
+
+        DOMElements.pickupDismissBtn.addEventListener('click', () => UIManager.closePickupPrompt());
+
+        DOMElements.verifyFoundBtn.addEventListener('click', () => {
+            const code = DOMElements.foundCodeInput.value.trim();
+            if (!new RegExp(`^\\d{${FOUND_CODE_LENGTH}}$`).test(code)) {
+                UIManager.showError(`Enter the ${FOUND_CODE_LENGTH}-digit code shown on the phone.`, DOMElements.seekingError);
+                return;
+            }
+            UIManager.clearError(DOMElements.seekingError);
+            SocketClient.emitVerifyFoundCode(code);
+            DOMElements.foundCodeInput.value = '';
+        });
+
+        DOMElements.pauseSeekingBtn.addEventListener('click', () => SocketClient.emitPauseRound());
+
+        DOMElements.pingButtons.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-player-id]');
+            if (!button || button.disabled) return;
+            UIManager.clearError(DOMElements.seekingError);
+            SocketClient.emitPingPhone(button.dataset.playerId);
+        });
+
+        DOMElements.hintButtons.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-player-id]');
+            if (!button) return;
+            UIManager.clearError(DOMElements.seekingError);
+            SocketClient.emitRequestHint(button.dataset.playerId);
+        });
+
+        // --- Hider Moderation (player lists in every view) ---
+        [DOMElements.playerList, DOMElements.hidingPlayerList, DOMElements.hiderStatusList, DOMElements.finalPlayerList].forEach(list => {
+            list.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-kick-player-id]');
+                if (!button) return;
+                const ban = button.dataset.ban === 'true';
+                const number = currentRoomState?.players[button.dataset.kickPlayerId]?.number;
+                const question = ban ? `Remove Phone ${number} and block it from rejoining this room?` : `Remove Phone ${number} from the room?`;
+                if (!window.confirm(question)) return;
+                SocketClient.emitKickPlayer(button.dataset.kickPlayerId, ban);
+            });
         });
 
+        // --- Paused Banner (all views) ---
+        DOMElements.resumeRoundBtn.addEventListener('click', () => SocketClient.emitResumeRound());
+
         // --- Game Over View ---
         DOMElements.markFoundGameOverBtn.addEventListener('click', () => {
             UIManager.handleMarkFoundGameOverClick(); // Immediate UI update + sound
             SocketClient.emitMarkSelfFound(); // Inform server (same event)
         });
 
+        DOMElements.replayPlayBtn.addEventListener('click', () => RoundReplay.togglePlay());
+
+        DOMElements.replayScrubber.addEventListener('input', () => {
+            RoundReplay.stop();
+            RoundReplay.setPosition((DOMElements.replayScrubber.value / 1000) * RoundReplay.durationMs);
+        });
+
         DOMElements.playAgainBtn.addEventListener('click', () => {
             AudioManager.resetState(); // Reset audio state locally first
             SocketClient.emitRequestPlayAgain(); // Request server reset
         });
+
+        [DOMElements.downloadResultsJsonBtn, DOMElements.downloadResultsCsvBtn].forEach(button => {
+            button.addEventListener('click', async () => {
+                UIManager.clearError(DOMElements.resultsExportError);
+                try {
+                    await ResultsExport.download(button.dataset.exportFormat);
+                } catch (error) {
+                    UIManager.showError(error.message, DOMElements.resultsExportError);
+                }
+            });
+        });
     }
 
     // --- App Initialization ---
     async function initializeApp() {
-        console.log("Hide 'n' Seek: Initializing application...");
+        Logger.info("Hide 'n' Seek: Initializing application...");
         UIManager.init(); // Cache DOM elements first
         setupUIEventListeners(); // Setup button clicks etc.
+        // A resumed session skips the join buttons, so unlock audio on the first tap anywhere
+        document.addEventListener('pointerdown', () => AudioManager.attemptStart(), { once: true });
         UIManager.showView(VIEW_IDS.JOIN); // Start at the join view
         await SocketClient.init(); // Start socket connection
         void DisplayManager.reset();
-        console.log("Application initialized. Waiting for server connection and user interaction.");
+        Logger.info("Application initialized. Waiting for server connection and user interaction.");
     }
 
     // Start the application once the DOM is fully loaded
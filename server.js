@@ -11,6 +11,11 @@ const express = require('express');
 const http = require('http');
 const { Server } = require("socket.io");
 const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+
+// --- Local Modules ---
+const { logger } = require('./logger');
 
 // =============================================================================
 // == Constants & Configuration
@@ -21,6 +26,10 @@ const PUBLIC_DIR = path.join(__dirname, 'public'); // Serve static files from he
 const ROOM_CODE_LENGTH = 5;
 const ROOM_CODE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
 const MIN_PLAYERS_TO_START = 2;
+const MIN_JOIN_PIN_LENGTH = 4; // Optional Hider-set PIN new phones and controllers must enter
+const MAX_JOIN_PIN_LENGTH = 6;
+const MAX_JOIN_PIN_ATTEMPTS_PER_CLIENT = 10; // PIN guesses per client per room per rate-limit window
+const MAX_JOIN_PIN_ATTEMPTS_PER_ROOM = 200; // Backstop across all clients, for guessers rotating addresses or devices
 
 // Game Timing & Settings Defaults
 const DEFAULT_SEEK_TIME_LIMIT_S = 120;
@@ -30,8 +39,79 @@ const DEFAULT_SOUND_PLAYS_PER_PLAYER = 6;
 const MIN_SOUND_PLAYS = 1;
 const MAX_SOUND_PLAYS = 20; // Increased limit
 const PRE_SEEK_COUNTDOWN_S = 10;
+const DEFAULT_HIDING_TIME_LIMIT_S = 0; // 0 = wait until every phone is confirmed hidden
+const MIN_HIDING_TIME_LIMIT_S = 30;
+const MAX_HIDING_TIME_LIMIT_S = 600;
+const DEFAULT_PINGS_PER_ROUND = 0; // Seeker pings are off unless the Hider enables them
+const MIN_PINGS_PER_ROUND = 0;
+const MAX_PINGS_PER_ROUND = 10;
+const DEFAULT_PING_TIME_COST_S = 0; // Seek time deducted per ping
+const MIN_PING_TIME_COST_S = 0;
+const MAX_PING_TIME_COST_S = 60;
+const MAX_HIDING_ZONES = 12; // Host-defined zone labels a phone can be hidden in
+const MAX_ZONE_LABEL_LENGTH = 30;
+const MAX_HIDING_NOTE_LENGTH = 120;
+const DEFAULT_HINT_INTERVAL_S = 0; // 0 = no scheduled hints
+const MIN_HINT_INTERVAL_S = 30;
+const MAX_HINT_INTERVAL_S = 300;
+const DEFAULT_HINT_REQUESTS_PER_ROUND = 0; // Seeker hint requests are off unless the Hider enables them
+const MIN_HINT_REQUESTS_PER_ROUND = 0;
+const MAX_HINT_REQUESTS_PER_ROUND = 10;
+const DEFAULT_HINT_TIME_COST_S = 0; // Seek time deducted per requested hint
+const MIN_HINT_TIME_COST_S = 0;
+const MAX_HINT_TIME_COST_S = 60;
+const DEFAULT_SOUND_SCHEDULER_ID = 'uniform';
+const DEFAULT_FRENZY_WINDOW_S = 15; // Length of the "frenzy" scheduler's finale
+const MIN_FRENZY_WINDOW_S = 5;
+const MAX_FRENZY_WINDOW_S = 60;
+const DEFAULT_DECOY_RATIO_PERCENT = 0; // Chance (per real play) of a decoy sound following it
+const MIN_DECOY_RATIO_PERCENT = 0;
+const MAX_DECOY_RATIO_PERCENT = 100;
 const MIN_SOUND_DELAY_MS = 1000; // Minimum delay between any two sounds scheduled
+// Playback curve: seek sound volume moves from the start to the end value as seek time runs out
+const DEFAULT_START_VOLUME_PERCENT = 100;
+const DEFAULT_END_VOLUME_PERCENT = 100;
+const MIN_VOLUME_PERCENT = 10;
+const MAX_VOLUME_PERCENT = 100;
+const DEFAULT_PLAYBACK_RATE_PERCENT = 100;
+const MIN_PLAYBACK_RATE_PERCENT = 50;
+const MAX_PLAYBACK_RATE_PERCENT = 200;
+const MUFFLED_LOW_PASS_HZ = 800; // Low-pass cutoff for a fully "muffled" sound
+const OPEN_LOW_PASS_HZ = 20000; // Where a fading muffle ends (effectively unfiltered)
+const SYNCHRONIZED_PLAY_LEAD_MS = 400; // Head start for "play at server time" sounds so every phone receives them in time
 const CHECK_INTERVAL_WHEN_NO_SOUNDS_MS = 1500; // How often to check game state if no sounds are eligible
+const MAX_ROUND_RESULTS = 20; // Rounds of history a room keeps for its standings
+const STANDINGS_TOP_COUNT = 3; // Entries per "fastest finds" / "best hiding spots" list
+const MAX_ROUND_LOG_EVENTS = 2000; // Safety cap; a normal round logs a few hundred at most
+// Entries in a room's round log, recorded in order so the round can be replayed
+const ROUND_EVENT = Object.freeze({
+    JOINED: 'joined',
+    LEFT: 'left',
+    DISCONNECTED: 'disconnected',
+    RECONNECTED: 'reconnected',
+    HIDING_STARTED: 'hidingStarted',
+    CONFIRMED_HIDDEN: 'confirmedHidden',
+    SEEKING_STARTED: 'seekingStarted',
+    PAUSED: 'paused',
+    RESUMED: 'resumed',
+    SOUND_PLAYED: 'soundPlayed',
+    HINT_RELEASED: 'hintReleased',
+    FOUND: 'found',
+    GAME_ENDED: 'gameEnded',
+    REVEAL_ACTIVATED: 'revealActivated',
+});
+// Why a phone played a sound during Seeking
+const SOUND_PLAY_SOURCE = Object.freeze({
+    SCHEDULED: 'scheduled',
+    PING: 'ping',
+    DECOY: 'decoy',
+});
+const RECONNECT_GRACE_PERIOD_MS = 60000; // How long a dropped player's seat is held for them to resume
+
+// Room Snapshots (point ROOM_SNAPSHOT_FILE at a persistent disk on Render so snapshots survive redeploys)
+const ROOM_SNAPSHOT_FILE = process.env.ROOM_SNAPSHOT_FILE || path.join(__dirname, 'data', 'room-snapshots.json');
+const ROOM_SNAPSHOT_VERSION = 1;
+const ROOM_SNAPSHOT_DEBOUNCE_MS = 250; // Coalesce bursts of state changes into one write
 
 // Game States
 const GAME_STATE = Object.freeze({
@@ -53,29 +133,127 @@ const WINNER_TYPE = Object.freeze({
     SEEKERS: 'Seekers',
 });
 
-// Sound Files (Ensure these exist in the public/sounds directory)
-// NOTE: It's crucial that baseAnimalSounds and baseUnfoundSounds have the same number of elements.
-const BASE_ANIMAL_SOUNDS = [
-    '/sounds/cat.mp3', '/sounds/chicken.mp3', '/sounds/cow.mp3', '/sounds/dog.mp3',
-    '/sounds/donkey.mp3', '/sounds/horse.mp3', '/sounds/sheep.mp3', '/sounds/bird.mp3'
-];
-const BASE_UNFOUND_SOUNDS = [
-    '/sounds/unfound1.mp3', '/sounds/unfound2.mp3', '/sounds/unfound3.mp3', '/sounds/unfound4.mp3',
-    '/sounds/unfound5.mp3', '/sounds/unfound6.mp3', '/sounds/unfound7.mp3', '/sounds/unfound8.mp3'
-];
+// Sound Packs: every public/sounds/<pack>/ directory with a manifest is loaded at startup
+const SOUNDS_DIR = path.join(PUBLIC_DIR, 'sounds');
+const SOUND_PACK_MANIFEST = 'pack.json';
+const DEFAULT_SOUND_PACK_ID = 'farm';
 
-// Validate sound configuration on startup
-if (BASE_ANIMAL_SOUNDS.length !== BASE_UNFOUND_SOUNDS.length) {
-    console.warn("Configuration Warning: The number of animal sounds does not match the number of unfound sounds. Please ensure corresponding sounds exist.");
-}
-const NUM_UNIQUE_SOUND_PAIRS = Math.min(BASE_ANIMAL_SOUNDS.length, BASE_UNFOUND_SOUNDS.length);
-if (NUM_UNIQUE_SOUND_PAIRS === 0) {
-    console.error("CRITICAL ERROR: No sound pairs defined in BASE_ANIMAL_SOUNDS/BASE_UNFOUND_SOUNDS. Sound assignment will fail.");
-    // Consider exiting the process if sounds are critical
-    // process.exit(1);
-} else if (NUM_UNIQUE_SOUND_PAIRS < 8) { // Example threshold
-    console.warn(`Warning: Only ${NUM_UNIQUE_SOUND_PAIRS} unique sound pairs available. Consider adding more sound files.`);
-}
+// What happens to phones that aren't confirmed hidden when hiding ends early
+const HIDING_TIMEOUT_ACTION = Object.freeze({
+    CONFIRM: 'confirm', // Treat them as hidden
+    DROP: 'drop', // Remove them from the game (the Hider's phone is always kept)
+});
+const DEFAULT_HIDING_TIMEOUT_ACTION = HIDING_TIMEOUT_ACTION.CONFIRM;
+
+// Found Confirmation: how a phone gets marked found during Seeking
+const FOUND_CONFIRMATION = Object.freeze({
+    SELF: 'self', // The hidden phone's own "Mark as Found" button
+    CODE: 'code', // The phone shows a one-time code that a seeker has to enter
+});
+const DEFAULT_FOUND_CONFIRMATION = FOUND_CONFIRMATION.SELF;
+const FOUND_CODE_LENGTH = 6;
+// Guesses per room per rate-limit window, shared by every seeker and connection so reconnecting doesn't reset it
+const MAX_FOUND_CODE_ATTEMPTS_PER_WINDOW = 20;
+
+// Pickup Detection: what a dimmed phone does when its motion sensors say a seeker picked it up
+const PICKUP_DETECTION = Object.freeze({
+    OFF: 'off',
+    PROMPT: 'prompt', // Show a found prompt
+    AUTO: 'auto', // Show the prompt and mark the phone found unless it is dismissed in time
+});
+const DEFAULT_PICKUP_DETECTION = PICKUP_DETECTION.OFF;
+const DEFAULT_PICKUP_AUTO_FOUND_DELAY_S = 5;
+const MIN_PICKUP_AUTO_FOUND_DELAY_S = 2;
+const MAX_PICKUP_AUTO_FOUND_DELAY_S = 30;
+
+// Hint Kinds, in the order a phone's hints are released
+const HINT_KIND = Object.freeze({
+    ZONE: 'zone', // The zone label picked when the phone was hidden
+    CLUE: 'clue', // The hiding note with every word masked down to its first letter
+});
+
+// Muffle Modes: how the low-pass filter is applied to seek sounds
+const MUFFLE_MODE = Object.freeze({
+    OFF: 'off',
+    CONSTANT: 'constant',
+    FADE: 'fade', // Muffled at the start, clearing up as seek time runs out
+});
+const DEFAULT_MUFFLE_MODE = MUFFLE_MODE.OFF;
+
+// Sound Modes: pack sounds are mp3 files; synth sounds are rendered live on each phone from a descriptor
+const SOUND_MODE = Object.freeze({
+    PACK: 'pack',
+    SYNTH: 'synth',
+});
+const DEFAULT_SOUND_MODE = SOUND_MODE.PACK;
+
+// Synth Sounds: every combination of these dimensions is a distinct phone sound (4 x 6 x 4 x 4 x 2 = 768)
+const SYNTH_OSCILLATORS = ['sine', 'triangle', 'square', 'sawtooth'];
+const SYNTH_OSCILLATOR_VOLUME_DB = Object.freeze({ sine: 0, triangle: -2, square: -10, sawtooth: -10 }); // Roughly equal loudness
+const SYNTH_CONTOURS = Object.freeze({ // Semitone offsets from the register's base note
+    rising: [0, 4, 7, 12],
+    falling: [12, 7, 4, 0],
+    arch: [0, 7, 12, 7],
+    valley: [12, 5, 0, 5],
+    trill: [0, 2, 0, 2],
+    leap: [0, 12, 0, 12],
+});
+const SYNTH_REGISTERS = [57, 64, 71, 78]; // Base MIDI notes (A3, E4, B4, F#5)
+const SYNTH_RHYTHMS = Object.freeze({ // Note lengths in seconds
+    even: [0.14, 0.14, 0.14, 0.14],
+    gallop: [0.09, 0.09, 0.2, 0.2],
+    limp: [0.24, 0.08, 0.24, 0.08],
+    rush: [0.26, 0.16, 0.1, 0.1],
+});
+const SYNTH_ARTICULATIONS = Object.freeze({ // Envelope times in seconds; gate is the sounding fraction of each note
+    staccato: { attack: 0.005, release: 0.04, gate: 0.5 },
+    legato: { attack: 0.03, release: 0.15, gate: 0.95 },
+});
+
+// Custom Sounds: clips recorded or uploaded by players in the waiting room
+const CUSTOM_SOUNDS_DIR = process.env.CUSTOM_SOUNDS_DIR || path.join(__dirname, 'data', 'custom-sounds');
+const CUSTOM_SOUNDS_URL_PATH = '/custom-sounds';
+const MAX_CUSTOM_SOUND_BYTES = 1024 * 1024; // 1 MB
+const MAX_CUSTOM_SOUND_DURATION_S = 5;
+// Accepted MIME types, each with the file extension used on disk and a magic-byte check of the content.
+// Only PCM WAV is accepted because its duration can be read from the header; clients convert other clips first.
+const CUSTOM_SOUND_FORMATS = Object.freeze({
+    'audio/wav': { extension: 'wav', matches: buf => buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WAVE' },
+    'audio/x-wav': { extension: 'wav', matches: buf => buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WAVE' },
+});
+
+// Admin API: operator routes under /admin/api, disabled unless ADMIN_TOKEN is set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const ADMIN_API_PATH = '/admin/api';
+
+// Metrics: Prometheus text format at /metrics, disabled unless METRICS_TOKEN is set (scrapers send it as a Bearer token)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const METRICS_PREFIX = 'hidenseek_';
+const ROUND_DURATION_BUCKETS_S = [15, 30, 60, 120, 180, 300, 450, 600];
+const TIME_TO_FIND_BUCKETS_S = [5, 10, 20, 30, 60, 90, 120, 180, 300, 600];
+
+// Socket Event Guards: fixed-window rate limits per socket and per client IP, plus payload checks.
+// Phones at one party usually share an IP, so IP limits are set well above what one room sends.
+const RATE_LIMIT_WINDOW_MS = 60000;
+const DEFAULT_SOCKET_EVENTS_PER_WINDOW = 60;
+const DEFAULT_IP_EVENTS_PER_WINDOW = 600;
+const MAX_SOCKET_VIOLATIONS = 10; // Throttled or malformed events per window before the socket is disconnected
+const MAX_SOCKET_ID_LENGTH = 64;
+// Number of reverse proxies in front of the server: 0 when clients connect directly, 1 on Render (the default
+// there, detected by its RENDER variable). X-Forwarded-For is only read this many hops deep. While the count is
+// unknown every socket may share the proxy's address, so per-IP limits are skipped rather than shared by everyone.
+const TRUSTED_PROXY_HOPS_SETTING = process.env.TRUSTED_PROXY_HOPS || (process.env.RENDER ? '1' : null);
+const TRUSTED_PROXY_HOPS = Math.max(0, parseInt(TRUSTED_PROXY_HOPS_SETTING, 10) || 0);
+const HAS_KNOWN_CLIENT_ADDRESSES = TRUSTED_PROXY_HOPS_SETTING !== null;
+
+// Results Export: round history download for whoever holds the room's export key
+const EXPORT_KEY_BYTES = 16;
+// One CSV row per phone per round
+const RESULTS_CSV_COLUMNS = Object.freeze([
+    'round', 'seekStartedAt', 'endedAt', 'winner', 'hiderNumber', 'seekTimeLimit', 'hidingTimeLimitS',
+    'soundPlaysPerPlayer', 'soundMode', 'soundPackId', 'soundSchedulerId', 'foundConfirmation', 'decoysPlayed',
+    'phone', 'role', 'foundAt', 'foundAtMs', 'foundBy', 'soundsPlayed', 'hidingZone',
+]);
 
 // =============================================================================
 // == Global State
@@ -108,6 +286,608 @@ function generateUniqueRoomCode() {
     return code;
 }
 
+// =============================================================================
+// == Sound Pack Registry
+// =============================================================================
+
+/**
+ * Validates one list of sound entries from a manifest and resolves them to public URLs.
+ * Problems are appended to `errors` so a pack reports everything wrong with it at once.
+ */
+function parseSoundPackEntries(packId, packDir, listName, entries, errors) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        errors.push(`"${listName}" must be a non-empty array.`);
+        return [];
+    }
+
+    return entries.map((entry, index) => {
+        const label = `${listName}[${index}]`;
+        if (typeof entry?.file !== 'string' || !entry.file || path.basename(entry.file) !== entry.file) {
+            errors.push(`${label}.file must be a file name inside the pack directory.`);
+        } else if (!fs.existsSync(path.join(packDir, entry.file))) {
+            errors.push(`${label}.file "${entry.file}" does not exist.`);
+        }
+        if (typeof entry?.name !== 'string' || !entry.name.trim()) {
+            errors.push(`${label}.name must be a non-empty string.`);
+        }
+        if (typeof entry?.durationS !== 'number' || !(entry.durationS > 0)) {
+            errors.push(`${label}.durationS must be a positive number of seconds.`);
+        }
+        return {
+            name: entry?.name,
+            url: `/sounds/${packId}/${entry?.file}`,
+            durationS: entry?.durationS,
+        };
+    });
+}
+
+/**
+ * Loads and validates every sound pack under SOUNDS_DIR.
+ * @returns {Object} Packs keyed by id (the directory name).
+ * @throws {Error} Listing every problem if any pack is invalid or the default pack is missing.
+ */
+function loadSoundPacks() {
+    const packs = {};
+    const problems = [];
+
+    const packDirs = fs.readdirSync(SOUNDS_DIR, { withFileTypes: true }).filter(entry => entry.isDirectory());
+    packDirs.forEach(({ name: packId }) => {
+        const packDir = path.join(SOUNDS_DIR, packId);
+        const manifestPath = path.join(packDir, SOUND_PACK_MANIFEST);
+        const errors = [];
+
+        let manifest = null;
+        try {
+            manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        } catch (error) {
+            errors.push(`could not read ${SOUND_PACK_MANIFEST}: ${error.message}`);
+        }
+
+        if (manifest) {
+            if (typeof manifest.name !== 'string' || !manifest.name.trim()) errors.push(`"name" must be a non-empty string.`);
+            const seekSounds = parseSoundPackEntries(packId, packDir, 'seekSounds', manifest.seekSounds, errors);
+            const revealSounds = parseSoundPackEntries(packId, packDir, 'revealSounds', manifest.revealSounds, errors);
+            if (seekSounds.length !== revealSounds.length) {
+                errors.push(`seekSounds (${seekSounds.length}) and revealSounds (${revealSounds.length}) must have the same length.`);
+            }
+            // Optional neutral distractors for decoy plays; without them decoys use the pack's unassigned seek sounds
+            const decoySounds = manifest.decoySounds === undefined
+                ? []
+                : parseSoundPackEntries(packId, packDir, 'decoySounds', manifest.decoySounds, errors);
+            packs[packId] = { id: packId, name: manifest.name, seekSounds, revealSounds, decoySounds };
+        }
+
+        if (errors.length > 0) {
+            problems.push(`Sound pack "${packId}" (${path.relative(__dirname, manifestPath)}) is invalid:\n  - ${errors.join('\n  - ')}`);
+        }
+    });
+
+    if (!packs[DEFAULT_SOUND_PACK_ID]) {
+        problems.push(`Default sound pack "${DEFAULT_SOUND_PACK_ID}" was not found in ${path.relative(__dirname, SOUNDS_DIR)}.`);
+    }
+    if (problems.length > 0) {
+        throw new Error(problems.join('\n'));
+    }
+    return packs;
+}
+
+let SOUND_PACKS;
+try {
+    SOUND_PACKS = loadSoundPacks();
+    logger.info(`Loaded sound packs: ${Object.values(SOUND_PACKS).map(p => `${p.id} (${p.seekSounds.length} sounds)`).join(', ')}`);
+} catch (error) {
+    logger.error(`CRITICAL ERROR: Failed to load sound packs.\n${error.message}`);
+    process.exit(1);
+}
+
+function getSoundPack(packId) {
+    return SOUND_PACKS[packId] || SOUND_PACKS[DEFAULT_SOUND_PACK_ID];
+}
+
+/** Lightweight pack list for the Hider's settings picker. */
+function getSoundPackSummaries() {
+    return Object.values(SOUND_PACKS).map(pack => ({ id: pack.id, name: pack.name, soundCount: pack.seekSounds.length }));
+}
+
+// =============================================================================
+// == Synth Sound Descriptors
+// =============================================================================
+
+/** Every combination of the synth dimensions, each identified by a dotted key like "square.arch.71.gallop.staccato". */
+function buildSynthSoundCatalog() {
+    const catalog = [];
+    SYNTH_OSCILLATORS.forEach(oscillator => {
+        Object.keys(SYNTH_CONTOURS).forEach(contour => {
+            SYNTH_REGISTERS.forEach(register => {
+                Object.keys(SYNTH_RHYTHMS).forEach(rhythm => {
+                    Object.keys(SYNTH_ARTICULATIONS).forEach(articulation => {
+                        const parts = [oscillator, contour, String(register), rhythm, articulation];
+                        catalog.push({ key: parts.join('.'), parts });
+                    });
+                });
+            });
+        });
+    });
+    return catalog;
+}
+
+const SYNTH_SOUND_CATALOG = buildSynthSoundCatalog();
+
+/** Number of dimensions in which two synth sounds differ. */
+function getSynthSoundDistance(a, b) {
+    return a.parts.reduce((distance, part, index) => distance + (part !== b.parts[index] ? 1 : 0), 0);
+}
+
+/**
+ * Picks an unused synth sound as far as possible from every sound in `assignedKeys`,
+ * so phones differ in as many dimensions as the room size allows.
+ * @returns {string} The key of the chosen sound.
+ */
+function pickDistinctSynthSound(assignedKeys) {
+    const assigned = SYNTH_SOUND_CATALOG.filter(entry => assignedKeys.has(entry.key));
+    let bestDistance = -1;
+    let candidates = [];
+
+    SYNTH_SOUND_CATALOG.forEach(entry => {
+        if (assignedKeys.has(entry.key)) return;
+        const distance = assigned.reduce((min, other) => Math.min(min, getSynthSoundDistance(entry, other)), Infinity);
+        if (distance > bestDistance) {
+            bestDistance = distance;
+            candidates = [entry];
+        } else if (distance === bestDistance) {
+            candidates.push(entry);
+        }
+    });
+
+    if (candidates.length === 0) candidates = SYNTH_SOUND_CATALOG; // Catalog exhausted; a repeat is unavoidable
+    return candidates[Math.floor(Math.random() * candidates.length)].key;
+}
+
+/**
+ * Expands a synth sound key into the descriptor clients render with Tone.js.
+ * @returns {Object|null} { key, oscillator, notes (MIDI), durations (s), attack, release, gate, volumeDb }
+ */
+function getSynthDescriptor(key) {
+    const [oscillator, contour, register, rhythm, articulation] = (key || '').split('.');
+    if (!SYNTH_OSCILLATORS.includes(oscillator) || !SYNTH_CONTOURS[contour] || !SYNTH_REGISTERS.includes(Number(register))
+        || !SYNTH_RHYTHMS[rhythm] || !SYNTH_ARTICULATIONS[articulation]) {
+        return null;
+    }
+    return {
+        key,
+        oscillator,
+        notes: SYNTH_CONTOURS[contour].map(offset => Number(register) + offset),
+        durations: SYNTH_RHYTHMS[rhythm],
+        ...SYNTH_ARTICULATIONS[articulation],
+        volumeDb: SYNTH_OSCILLATOR_VOLUME_DB[oscillator],
+    };
+}
+
+// =============================================================================
+// == Sound Scheduling Strategies
+// =============================================================================
+
+/**
+ * Strategies for spacing scheduled sounds during Seeking. Each `planNextSound(context)` receives
+ * { eligiblePlayers, rotationPlayer, totalPlaysLeft, timeRemainingMs, seekTimeLimitMs, frenzyWindowMs }
+ * and returns { players, delayMs }: the phones to play now and the wait before the next check.
+ * Only eligible phones are returned, and the Room charges each play to the personal/shared budget.
+ */
+const SOUND_SCHEDULERS = Object.freeze({
+    uniform: {
+        name: 'Uniform',
+        planNextSound: ({ rotationPlayer, totalPlaysLeft, timeRemainingMs }) => ({
+            players: [rotationPlayer],
+            delayMs: timeRemainingMs / totalPlaysLeft,
+        }),
+    },
+    escalating: {
+        name: 'Escalating',
+        // Stretching gaps by (1 + remaining/limit) starts at twice the uniform gap and shrinks toward it,
+        // which saves plays for the end: the last moments are about four times denser than the start
+        planNextSound: ({ rotationPlayer, totalPlaysLeft, timeRemainingMs, seekTimeLimitMs }) => ({
+            players: [rotationPlayer],
+            delayMs: (timeRemainingMs / totalPlaysLeft) * (1 + timeRemainingMs / seekTimeLimitMs),
+        }),
+    },
+    random: {
+        name: 'Random',
+        // Gaps vary between half and one and a half times the uniform gap, so the average pace is unchanged
+        planNextSound: ({ rotationPlayer, totalPlaysLeft, timeRemainingMs }) => ({
+            players: [rotationPlayer],
+            delayMs: (timeRemainingMs / totalPlaysLeft) * (0.5 + Math.random()),
+        }),
+    },
+    frenzy: {
+        name: 'Final Frenzy',
+        // Uniform until the finale, holding back one play per phone; then every unfound phone chirps together
+        planNextSound: ({ eligiblePlayers, rotationPlayer, totalPlaysLeft, timeRemainingMs, frenzyWindowMs }) => {
+            const timeToFinaleMs = timeRemainingMs - frenzyWindowMs;
+            if (timeToFinaleMs <= 0) {
+                const roundsLeft = Math.ceil(totalPlaysLeft / eligiblePlayers.length);
+                return { players: eligiblePlayers, delayMs: timeRemainingMs / roundsLeft };
+            }
+
+            const playsBeforeFinale = totalPlaysLeft - eligiblePlayers.length;
+            if (playsBeforeFinale <= 0) {
+                return { players: [], delayMs: timeToFinaleMs }; // Save everything for the finale
+            }
+            return { players: [rotationPlayer], delayMs: timeToFinaleMs / playsBeforeFinale };
+        },
+    },
+});
+
+function getSoundScheduler(schedulerId) {
+    return SOUND_SCHEDULERS[schedulerId] || SOUND_SCHEDULERS[DEFAULT_SOUND_SCHEDULER_ID];
+}
+
+/** Scheduler list for the Hider's settings picker. */
+function getSoundSchedulerSummaries() {
+    return Object.entries(SOUND_SCHEDULERS).map(([id, scheduler]) => ({ id, name: scheduler.name }));
+}
+
+// =============================================================================
+// == Custom Sound Storage
+// =============================================================================
+
+/**
+ * Reads a WAV file's duration from its `fmt ` byte rate and `data` chunk size.
+ * Returns null if the chunks are missing or malformed.
+ */
+function getWavDurationS(body) {
+    let byteRate = 0;
+    let offset = 12; // After "RIFF", the RIFF size and "WAVE"
+    while (offset + 8 <= body.length) {
+        const chunkId = body.toString('ascii', offset, offset + 4);
+        const chunkSize = body.readUInt32LE(offset + 4);
+        const dataStart = offset + 8;
+        if (chunkId === 'fmt ' && chunkSize >= 16 && dataStart + 16 <= body.length) {
+            byteRate = body.readUInt32LE(dataStart + 8);
+        } else if (chunkId === 'data') {
+            if (!byteRate) return null; // Players need the format before the samples
+            // A header may claim more samples than were sent; only what's in the body can play
+            return Math.min(chunkSize, body.length - dataStart) / byteRate;
+        }
+        offset = dataStart + chunkSize + (chunkSize % 2); // Chunks are padded to an even length
+    }
+    return null;
+}
+
+/**
+ * Validates an uploaded clip's MIME type, size, content and duration.
+ * The duration comes from the WAV header, never from the client.
+ * @returns {{ extension: string }}
+ * @throws {Error} With a user-facing message if the clip is rejected.
+ */
+function validateCustomSoundUpload(contentType, body) {
+    const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+    const format = CUSTOM_SOUND_FORMATS[mimeType];
+    if (!format) throw new Error(`Unsupported sound type "${mimeType || 'unknown'}".`);
+    if (!Buffer.isBuffer(body) || body.length < 12) throw new Error("Sound file is empty.");
+    if (body.length > MAX_CUSTOM_SOUND_BYTES) throw new Error(`Sound file is too large (max ${MAX_CUSTOM_SOUND_BYTES / 1024} KB).`);
+    if (!format.matches(body)) throw new Error(`File content does not match type "${mimeType}".`);
+
+    const durationS = getWavDurationS(body);
+    if (!durationS || durationS <= 0) throw new Error("Could not determine the sound's duration.");
+    if (durationS > MAX_CUSTOM_SOUND_DURATION_S) throw new Error(`Sound is too long (max ${MAX_CUSTOM_SOUND_DURATION_S}s).`);
+
+    return { extension: format.extension };
+}
+
+/** Writes a validated clip into the room's directory and returns its public URL. */
+function storeCustomSound(roomCode, player, extension, body) {
+    const roomDir = path.join(CUSTOM_SOUNDS_DIR, roomCode);
+    const fileName = `p${player.number}-${crypto.randomBytes(6).toString('hex')}.${extension}`;
+    fs.mkdirSync(roomDir, { recursive: true });
+    fs.writeFileSync(path.join(roomDir, fileName), body);
+    return `${CUSTOM_SOUNDS_URL_PATH}/${roomCode}/${fileName}`;
+}
+
+function deleteCustomSoundFile(soundURL) {
+    if (!soundURL?.startsWith(`${CUSTOM_SOUNDS_URL_PATH}/`)) return;
+    const [roomCode, fileName] = soundURL.slice(CUSTOM_SOUNDS_URL_PATH.length + 1).split('/');
+    try {
+        fs.rmSync(path.join(CUSTOM_SOUNDS_DIR, path.basename(roomCode), path.basename(fileName || '')), { force: true });
+    } catch (error) {
+        logger.warn(`Failed to delete custom sound ${soundURL}.`, { error });
+    }
+}
+
+function deleteCustomSoundsForRoom(roomCode) {
+    try {
+        fs.rmSync(path.join(CUSTOM_SOUNDS_DIR, path.basename(roomCode)), { recursive: true, force: true });
+    } catch (error) {
+        logger.warn('Failed to delete custom sounds.', { roomCode, error });
+    }
+}
+
+/** Removes clip directories left behind by rooms that no longer exist (e.g. after a restart). */
+function pruneOrphanedCustomSounds() {
+    if (!fs.existsSync(CUSTOM_SOUNDS_DIR)) return;
+    fs.readdirSync(CUSTOM_SOUNDS_DIR)
+        .filter(roomCode => !activeRooms[roomCode])
+        .forEach(roomCode => deleteCustomSoundsForRoom(roomCode));
+}
+
+// =============================================================================
+// == Results Export
+// =============================================================================
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Flattens round results into CSV with one row per phone per round. Timestamps are ISO 8601. */
+function buildResultsCsv(roundResults) {
+    const toIso = ms => (ms ? new Date(ms).toISOString() : null);
+    const rows = [];
+    roundResults.forEach(result => {
+        const settings = result.settings || {};
+        result.phones.forEach(phone => {
+            const row = {
+                round: result.round,
+                seekStartedAt: toIso(result.seekStartedAt),
+                endedAt: toIso(result.endedAt),
+                winner: result.winner,
+                hiderNumber: result.hiderNumber,
+                seekTimeLimit: result.seekTimeLimit,
+                hidingTimeLimitS: settings.hidingTimeLimitS,
+                soundPlaysPerPlayer: settings.soundPlaysPerPlayer,
+                soundMode: settings.soundMode,
+                soundPackId: settings.soundPackId,
+                soundSchedulerId: settings.soundSchedulerId,
+                foundConfirmation: settings.foundConfirmation,
+                decoysPlayed: result.decoysPlayed,
+                phone: phone.number,
+                role: phone.role,
+                foundAt: toIso(phone.foundAt),
+                foundAtMs: phone.foundAtMs,
+                foundBy: phone.foundBy,
+                soundsPlayed: phone.soundsPlayed,
+                hidingZone: phone.hidingZone,
+            };
+            rows.push(RESULTS_CSV_COLUMNS.map(column => escapeCsvValue(row[column])).join(','));
+        });
+    });
+    return [RESULTS_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// =============================================================================
+// == Metrics
+// =============================================================================
+
+function formatMetricLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`).join(',')}}`;
+}
+
+/** Counts events per label combination. */
+function createCounter(name, help) {
+    const values = new Map(); // Label JSON -> count
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = JSON.stringify(labels);
+            values.set(key, (values.get(key) || 0) + amount);
+        },
+        render() {
+            const lines = [`# HELP ${METRICS_PREFIX}${name} ${help}`, `# TYPE ${METRICS_PREFIX}${name} counter`];
+            values.forEach((value, key) => lines.push(`${METRICS_PREFIX}${name}${formatMetricLabels(JSON.parse(key))} ${value}`));
+            return lines.join('\n');
+        },
+    };
+}
+
+/** Cumulative-bucket histogram without labels. */
+function createHistogram(name, help, buckets) {
+    const bucketCounts = buckets.map(() => 0);
+    let count = 0;
+    let sum = 0;
+    return {
+        observe(value) {
+            buckets.forEach((bound, index) => {
+                if (value <= bound) bucketCounts[index]++;
+            });
+            count++;
+            sum += value;
+        },
+        render() {
+            const lines = [`# HELP ${METRICS_PREFIX}${name} ${help}`, `# TYPE ${METRICS_PREFIX}${name} histogram`];
+            buckets.forEach((bound, index) => lines.push(`${METRICS_PREFIX}${name}_bucket{le="${bound}"} ${bucketCounts[index]}`));
+            lines.push(`${METRICS_PREFIX}${name}_bucket{le="+Inf"} ${count}`);
+            lines.push(`${METRICS_PREFIX}${name}_sum ${sum}`);
+            lines.push(`${METRICS_PREFIX}${name}_count ${count}`);
+            return lines.join('\n');
+        },
+    };
+}
+
+/** Gauge whose values are read from current state at scrape time. `collect` returns [labels, value] pairs. */
+function createGauge(name, help, collect) {
+    return {
+        render() {
+            const lines = [`# HELP ${METRICS_PREFIX}${name} ${help}`, `# TYPE ${METRICS_PREFIX}${name} gauge`];
+            collect().forEach(([labels, value]) => lines.push(`${METRICS_PREFIX}${name}${formatMetricLabels(labels)} ${value}`));
+            return lines.join('\n');
+        },
+    };
+}
+
+/** Counts rooms and connected phones/controllers in each game state. */
+function countByGameState(countRoom) {
+    const totals = Object.fromEntries(Object.values(GAME_STATE).map(state => [state, 0]));
+    Object.values(activeRooms).forEach(room => { totals[room.gameState] += countRoom(room); });
+    return Object.entries(totals).map(([state, value]) => [{ state }, value]);
+}
+
+// Updated from inside the Room methods where each event happens
+const metrics = {
+    activeRooms: createGauge('active_rooms', 'Rooms currently open, by game state.', () => countByGameState(() => 1)),
+    connectedPlayers: createGauge('connected_players', 'Connected phones and controllers, by game state.', () => countByGameState(room =>
+        [...Object.values(room.players), ...Object.values(room.controllers)].filter(member => member.isConnected).length)),
+    roundsStarted: createCounter('rounds_started_total', 'Rounds that entered the Hiding phase.'),
+    roundsEnded: createCounter('rounds_ended_total', 'Rounds that reached Game Over, by winner ("none" if ended early).'),
+    soundsEmitted: createCounter('sounds_emitted_total', 'Scheduled seek sounds sent to phones, by the budget they used.'),
+    disconnects: createCounter('disconnects_total', 'Phones and controllers that lost their connection, by game state.'),
+    socketEventsRejected: createCounter('socket_events_rejected_total', 'Socket events dropped by the rate limiter or payload checks, by event and reason.'),
+    roundDuration: createHistogram('round_duration_seconds', 'Seek time elapsed when a round ended.', ROUND_DURATION_BUCKETS_S),
+    timeToFind: createHistogram('time_to_find_seconds', 'Seek time elapsed when a phone was found.', TIME_TO_FIND_BUCKETS_S),
+};
+
+function renderMetrics() {
+    return Object.values(metrics).map(metric => metric.render()).join('\n') + '\n';
+}
+
+// =============================================================================
+// == Socket Event Guards
+// =============================================================================
+
+const ROOM_CODE_PATTERN = new RegExp(`^[${ROOM_CODE_CHARS}]{${ROOM_CODE_LENGTH}}$`);
+const FOUND_CODE_PATTERN = new RegExp(`^\\d{${FOUND_CODE_LENGTH}}$`);
+const SESSION_TOKEN_PATTERN = /^[0-9a-f-]{36}$/; // crypto.randomUUID()
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/; // Client-generated, see getDeviceId
+const JOIN_PIN_PATTERN = new RegExp(`^\\d{${MIN_JOIN_PIN_LENGTH},${MAX_JOIN_PIN_LENGTH}}$`);
+
+const REJECTION_REASON = Object.freeze({
+    UNKNOWN_EVENT: 'unknownEvent',
+    RATE_LIMITED: 'rateLimited',
+    INVALID_PAYLOAD: 'invalidPayload',
+});
+
+const isRoomCode = value => typeof value === 'string' && ROOM_CODE_PATTERN.test(value);
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isSocketId = value => typeof value === 'string' && value.length > 0 && value.length <= MAX_SOCKET_ID_LENGTH;
+const isOptionalString = value => value === undefined || value === null || typeof value === 'string';
+// Shape only; whether it matches the room's PIN is checked when joining
+const isOptionalJoinPin = value => value === undefined || value === null || (typeof value === 'string' && value.length <= MAX_JOIN_PIN_LENGTH);
+
+/**
+ * Every event a client may send. `validate` receives the event's arguments (events without it take
+ * no payload); `perSocket`/`perIp` override the default events allowed per window.
+ */
+const SOCKET_EVENT_RULES = Object.freeze({
+    clockSyncRequest: { validate: ([clientSendTime]) => Number.isFinite(clientSendTime), perSocket: 120 },
+    createRoom: { perSocket: 5, perIp: 30 },
+    // Join attempts are the room-code guessing surface, so they get the tightest limits
+    joinRoom: { validate: ([roomCode, pin]) => isRoomCode(roomCode) && isOptionalJoinPin(pin), invalidMessage: 'Invalid room code or PIN.', perSocket: 10, perIp: 60 },
+    joinRoomAsController: { validate: ([roomCode, pin]) => isRoomCode(roomCode) && isOptionalJoinPin(pin), invalidMessage: 'Invalid room code or PIN.', perSocket: 10, perIp: 60 },
+    resumeSession: {
+        validate: ([session]) => isPlainObject(session) && isRoomCode(session.roomCode) && typeof session.sessionToken === 'string'
+            && SESSION_TOKEN_PATTERN.test(session.sessionToken),
+        perSocket: 10,
+        perIp: 60,
+    },
+    leaveRoom: {},
+    updateSettings: { validate: ([settings]) => isPlainObject(settings) },
+    updateRoomAccess: { validate: ([access]) => isPlainObject(access) && isOptionalString(access.joinPin) && typeof access.isLocked === 'boolean' },
+    kickPlayer: { validate: ([request]) => isPlainObject(request) && isSocketId(request.playerId) && typeof request.ban === 'boolean' },
+    startHiding: {},
+    forceStartSeeking: {},
+    confirmHidden: {
+        validate: ([details]) => details === undefined || details === null
+            || (isPlainObject(details) && isOptionalString(details.note) && isOptionalString(details.zone)),
+    },
+    markSelfFound: {},
+    requestFoundCode: {},
+    requestExportKey: {},
+    // A found code is only a few digits, so guesses are limited like join attempts
+    verifyFoundCode: { validate: ([code]) => typeof code === 'string' && FOUND_CODE_PATTERN.test(code), invalidMessage: 'Invalid found code.', perSocket: 10 },
+    pingPhone: { validate: ([targetPlayerId]) => isSocketId(targetPlayerId) },
+    requestHint: { validate: ([targetPlayerId]) => isSocketId(targetPlayerId) },
+    pauseRound: {},
+    resumeRound: {},
+    requestPlayAgain: {},
+});
+
+// Counter key -> { windowStart, count }; expired windows are swept once per window
+const rateLimitCounters = new Map();
+
+/** Counts one hit against `key`. Returns false once the window's `limit` is exceeded. */
+function consumeRateLimit(key, limit) {
+    const now = Date.now();
+    let counter = rateLimitCounters.get(key);
+    if (!counter || now - counter.windowStart >= RATE_LIMIT_WINDOW_MS) {
+        counter = { windowStart: now, count: 0 };
+        rateLimitCounters.set(key, counter);
+    }
+    counter.count++;
+    return counter.count <= limit;
+}
+
+setInterval(() => {
+    const now = Date.now();
+    rateLimitCounters.forEach((counter, key) => {
+        if (now - counter.windowStart >= RATE_LIMIT_WINDOW_MS) rateLimitCounters.delete(key);
+    });
+}, RATE_LIMIT_WINDOW_MS).unref();
+
+// Random id the client keeps in localStorage and sends with the handshake, so a room ban outlives the socket.
+// Clearing storage gets a new id; bans only need to stop a casual rejoin.
+function getDeviceId(socket) {
+    const deviceId = socket.handshake.auth?.deviceId;
+    return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId) ? deviceId : null;
+}
+
+// Each trusted proxy appends the address it saw to X-Forwarded-For, so the client is the entry
+// TRUSTED_PROXY_HOPS from the right; anything further left was supplied by the client itself.
+function getClientAddress(socket) {
+    const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+    if (!TRUSTED_PROXY_HOPS || typeof forwardedFor !== 'string') return socket.handshake.address;
+    const hops = forwardedFor.split(',').map(hop => hop.trim());
+    return hops[hops.length - TRUSTED_PROXY_HOPS] || socket.handshake.address;
+}
+
+// Identifies the client behind a socket for per-client limits: its address when that can be trusted, else its device
+function getRateLimitClientKey(socket) {
+    if (HAS_KNOWN_CLIENT_ADDRESSES) return `ip:${getClientAddress(socket)}`;
+    return `device:${getDeviceId(socket) || socket.id}`;
+}
+
+/**
+ * Builds the packet middleware for one socket. Events that are unknown, over a rate limit or
+ * malformed never reach their handlers; the client is told why, and a socket that keeps
+ * sending them is disconnected.
+ */
+function createSocketEventGuard(socket) {
+    const clientAddress = getClientAddress(socket);
+
+    function reject(eventName, reason, message) {
+        // Unknown names come straight from the client, so they're truncated and kept out of metric labels
+        const isKnownEvent = reason !== REJECTION_REASON.UNKNOWN_EVENT;
+        const loggedName = isKnownEvent ? eventName : String(eventName).slice(0, MAX_SOCKET_ID_LENGTH);
+        const room = findRoomBySocketId(socket.id);
+        const fields = { socketId: socket.id, playerNumber: room?.getPlayer(socket.id)?.number, event: loggedName, clientAddress };
+        const log = room ? room.log : logger;
+        log.warn(`Rejected '${loggedName}': ${reason}.`, fields);
+        metrics.socketEventsRejected.inc({ event: isKnownEvent ? eventName : 'unknown', reason });
+        if (message) socket.emit('errorMsg', message);
+
+        if (!consumeRateLimit(`violations:${socket.id}`, MAX_SOCKET_VIOLATIONS)) {
+            log.warn('Disconnecting socket after repeated rejected events.', fields);
+            socket.emit('errorMsg', 'Disconnected for sending too many invalid or rapid requests.');
+            socket.disconnect(true);
+        }
+    }
+
+    return ([eventName, ...args], next) => {
+        if (!Object.prototype.hasOwnProperty.call(SOCKET_EVENT_RULES, eventName)) return reject(eventName, REJECTION_REASON.UNKNOWN_EVENT, null);
+        const rule = SOCKET_EVENT_RULES[eventName];
+
+        const withinSocketLimit = consumeRateLimit(`socket:${socket.id}:${eventName}`, rule.perSocket ?? DEFAULT_SOCKET_EVENTS_PER_WINDOW);
+        const withinIpLimit = !HAS_KNOWN_CLIENT_ADDRESSES
+            || consumeRateLimit(`ip:${clientAddress}:${eventName}`, rule.perIp ?? DEFAULT_IP_EVENTS_PER_WINDOW);
+        if (!withinSocketLimit || !withinIpLimit) {
+            return reject(eventName, REJECTION_REASON.RATE_LIMITED, "You're doing that too often. Please wait a moment and try again.");
+        }
+        if (rule.validate && !rule.validate(args)) {
+            return reject(eventName, REJECTION_REASON.INVALID_PAYLOAD, rule.invalidMessage || 'Invalid request.');
+        }
+        next();
+    };
+}
+
 // =============================================================================
 // == Player Class
 // =============================================================================
@@ -121,6 +901,19 @@ class Player {
         this.soundsPlayed = 0; // Sounds played count during Seeking phase
         this.uniqueAnimalSoundURL = null;
         this.uniqueUnfoundSoundURL = null;
+        this.customSoundURL = null; // Player-recorded clip that replaces the pack's seek sound
+        this.synthSoundKey = null; // Synth mode: key of the descriptor this phone renders
+        this.hidingNote = null; // Where the Hider says the phone is; kept private until Game Over
+        this.hidingZone = null;
+        this.hintsRevealed = 0; // How many of this phone's hints seekers have received
+        this.foundCode = null; // Code mode: one-time code shown on the phone once it is found
+        this.foundBy = null; // Description of the seeker who entered the code
+        this.foundAtMs = null; // Seek time elapsed when the phone was found during Seeking
+        this.foundAt = null; // Wall-clock time of the find, for results export
+        this.sessionToken = crypto.randomUUID(); // Private token the client uses to resume this seat
+        this.deviceId = null; // Set on join; lets the Hider ban the device. Never sent to clients
+        this.isConnected = true;
+        this.disconnectTimeout = null; // Pending removal while the player is disconnected
     }
 
     /** Resets player state for a new game or phase transition. */
@@ -128,6 +921,13 @@ class Player {
         this.isReady = false;
         this.isFound = false;
         this.soundsPlayed = 0;
+        this.hidingNote = null;
+        this.hidingZone = null;
+        this.hintsRevealed = 0;
+        this.foundCode = null;
+        this.foundBy = null;
+        this.foundAtMs = null;
+        this.foundAt = null;
         // Role and sounds are reassigned by the Room class
     }
 
@@ -137,8 +937,59 @@ class Player {
         this.soundsPlayed = 0; // Reset sounds played count
     }
 
-    /** Returns a simplified player object safe for client transmission. */
-    getClientState() {
+    /** Returns the persistent fields needed to rebuild this player after a restart. */
+    toSnapshot() {
+        return {
+            id: this.id,
+            number: this.number,
+            role: this.role,
+            isReady: this.isReady,
+            isFound: this.isFound,
+            soundsPlayed: this.soundsPlayed,
+            uniqueAnimalSoundURL: this.uniqueAnimalSoundURL,
+            uniqueUnfoundSoundURL: this.uniqueUnfoundSoundURL,
+            customSoundURL: this.customSoundURL,
+            synthSoundKey: this.synthSoundKey,
+            hidingNote: this.hidingNote,
+            hidingZone: this.hidingZone,
+            hintsRevealed: this.hintsRevealed,
+            foundCode: this.foundCode,
+            foundBy: this.foundBy,
+            foundAtMs: this.foundAtMs,
+            foundAt: this.foundAt,
+            sessionToken: this.sessionToken,
+            deviceId: this.deviceId,
+        };
+    }
+
+    /** Rebuilds a player from `toSnapshot()` output. Restored players start disconnected. */
+    static fromSnapshot(data) {
+        const player = new Player(data.id, data.number, data.role);
+        player.isReady = !!data.isReady;
+        player.isFound = !!data.isFound;
+        player.soundsPlayed = data.soundsPlayed || 0;
+        player.uniqueAnimalSoundURL = data.uniqueAnimalSoundURL || null;
+        player.uniqueUnfoundSoundURL = data.uniqueUnfoundSoundURL || null;
+        player.customSoundURL = data.customSoundURL || null;
+        player.synthSoundKey = data.synthSoundKey || null;
+        player.hidingNote = data.hidingNote || null;
+        player.hidingZone = data.hidingZone || null;
+        player.hintsRevealed = data.hintsRevealed || 0;
+        player.foundCode = data.foundCode || null;
+        player.foundBy = data.foundBy || null;
+        player.foundAtMs = data.foundAtMs ?? null;
+        player.foundAt = data.foundAt ?? null;
+        player.sessionToken = data.sessionToken;
+        player.deviceId = data.deviceId || null;
+        player.isConnected = false;
+        return player;
+    }
+
+    /**
+     * Returns a simplified player object safe for client transmission.
+     * The hiding note and zone are only included once `revealHidingSpot` is set (Game Over).
+     */
+    getClientState(revealHidingSpot = false) {
         return {
             id: this.id,
             number: this.number,
@@ -147,7 +998,73 @@ class Player {
             isFound: this.isFound,
             uniqueAnimalSoundURL: this.uniqueAnimalSoundURL,
             uniqueUnfoundSoundURL: this.uniqueUnfoundSoundURL,
-            // Note: soundsPlayed is intentionally omitted from client state
+            synthSound: getSynthDescriptor(this.synthSoundKey),
+            hasCustomSound: !!this.customSoundURL,
+            isConnected: this.isConnected,
+            hidingNote: revealHidingSpot ? this.hidingNote : null,
+            hidingZone: revealHidingSpot ? this.hidingZone : null,
+            hintsLeft: this.getHintKinds().length - this.hintsRevealed,
+            foundBy: this.foundBy,
+            // Note: soundsPlayed, foundCode and sessionToken are intentionally omitted from client state
+        };
+    }
+
+    /** Hint kinds this phone can give, in release order. */
+    getHintKinds() {
+        const kinds = [];
+        if (this.hidingZone) kinds.push(HINT_KIND.ZONE);
+        if (this.hidingNote) kinds.push(HINT_KIND.CLUE);
+        return kinds;
+    }
+
+    /** Payload for 'playSound': the seek clip, or the synth descriptor when the phone has no clip. */
+    getSeekSound() {
+        if (this.uniqueAnimalSoundURL) return { soundURL: this.uniqueAnimalSoundURL };
+        if (this.synthSoundKey) return { synth: getSynthDescriptor(this.synthSoundKey) };
+        return null;
+    }
+
+    /** Payload for 'becomeActiveUnfound': the reveal clip, or the synth descriptor when the phone has no clip. */
+    getRevealSound() {
+        if (this.uniqueUnfoundSoundURL) return { soundURL: this.uniqueUnfoundSoundURL };
+        if (this.synthSoundKey) return { synth: getSynthDescriptor(this.synthSoundKey) };
+        return null;
+    }
+}
+
+// =============================================================================
+// == Controller Class
+// =============================================================================
+
+/**
+ * A device that follows the game (timer, phone status, reveal) without being a hidden phone.
+ * Controllers never receive sounds and are excluded from readiness and win checks.
+ */
+class Controller {
+    constructor(id, number) {
+        this.id = id;
+        this.number = number;
+        this.sessionToken = crypto.randomUUID();
+        this.isConnected = true;
+        this.disconnectTimeout = null;
+    }
+
+    toSnapshot() {
+        return { id: this.id, number: this.number, sessionToken: this.sessionToken };
+    }
+
+    static fromSnapshot(data) {
+        const controller = new Controller(data.id, data.number);
+        controller.sessionToken = data.sessionToken;
+        controller.isConnected = false;
+        return controller;
+    }
+
+    getClientState() {
+        return {
+            id: this.id,
+            number: this.number,
+            isConnected: this.isConnected,
         };
     }
 }
@@ -160,51 +1077,195 @@ class Room {
         this.roomCode = roomCode;
         this.io = ioInstance; // Store io instance for broadcasting within the room
         this.players = {}; // Key: socket.id, Value: Player instance
+        this.controllers = {}; // Key: socket.id, Value: Controller instance
+        this.nextPlayerNumber = 1; // Only counts up, so a kicked or departed phone's number is never reused
+        this.nextControllerNumber = 1;
         this.gameState = GAME_STATE.WAITING;
         this.seekTimeLimit = DEFAULT_SEEK_TIME_LIMIT_S;
+        this.hidingTimeLimitS = DEFAULT_HIDING_TIME_LIMIT_S;
+        this.hidingTimeoutAction = DEFAULT_HIDING_TIMEOUT_ACTION;
         this.soundPlaysPerPlayer = DEFAULT_SOUND_PLAYS_PER_PLAYER;
+        this.soundPackId = DEFAULT_SOUND_PACK_ID;
+        this.soundMode = DEFAULT_SOUND_MODE;
+        this.soundSchedulerId = DEFAULT_SOUND_SCHEDULER_ID;
+        this.frenzyWindowS = DEFAULT_FRENZY_WINDOW_S;
+        this.startVolumePercent = DEFAULT_START_VOLUME_PERCENT;
+        this.endVolumePercent = DEFAULT_END_VOLUME_PERCENT;
+        this.playbackRatePercent = DEFAULT_PLAYBACK_RATE_PERCENT;
+        this.muffleMode = DEFAULT_MUFFLE_MODE;
+        this.decoyRatioPercent = DEFAULT_DECOY_RATIO_PERCENT;
+        this.decoysPlayed = 0; // Decoy plays this round; revealed at Game Over
+        this.decoyTimeout = null; // Pending decoy between two real plays
+        this.pingsPerRound = DEFAULT_PINGS_PER_ROUND;
+        this.pingTimeCostS = DEFAULT_PING_TIME_COST_S;
+        this.pingsRemaining = 0; // Refilled to pingsPerRound when Seeking starts
+        this.pingHistory = []; // { playerId, playerNumber, requestedBy, elapsedMs, budgetSource }
+        this.foundConfirmation = DEFAULT_FOUND_CONFIRMATION;
+        this.pickupDetection = DEFAULT_PICKUP_DETECTION;
+        this.pickupAutoFoundDelayS = DEFAULT_PICKUP_AUTO_FOUND_DELAY_S;
+        this.hidingZones = []; // Zone labels the Hider offers when confirming a phone hidden
+        this.hintIntervalS = DEFAULT_HINT_INTERVAL_S;
+        this.hintRequestsPerRound = DEFAULT_HINT_REQUESTS_PER_ROUND;
+        this.hintTimeCostS = DEFAULT_HINT_TIME_COST_S;
+        this.hintRequestsRemaining = 0; // Refilled to hintRequestsPerRound when Seeking starts
+        this.scheduledHintCount = 0; // Scheduled hint slots already passed this round
+        this.hints = []; // { playerId, playerNumber, kind, text, requestedBy, elapsedMs }
         this.seekTimerInterval = null;
         this.seekStartTime = null;
+        this.seekStartedAt = null; // Wall-clock start of Seeking; seekStartTime shifts to skip pauses
+        this.hidingStartTime = null;
+        this.hidingTimeout = null; // Fires when the hiding time limit runs out
         this.winner = null;
+        this.roundResults = []; // Finished rounds, oldest first; kept across "Play Again"
+        this.exportKey = crypto.randomBytes(EXPORT_KEY_BYTES).toString('hex'); // Unlocks the results download; only sent to the Hider
+        this.roundLog = []; // Ordered events since the room opened or the last "Play Again"
+        this.createdAt = Date.now();
+        this.joinPin = null; // Digits new members must supply; null = open to anyone with the code
+        this.isLocked = false; // Locked rooms accept no new phones or controllers (resumed seats still return)
+        this.bannedDeviceIds = new Set(); // Devices the Hider kicked with a ban; checked on every join
         this.preSeekCountdownInterval = null;
         this.preSeekCountdownValue = PRE_SEEK_COUNTDOWN_S;
+        this.isPaused = false; // Seeking or the pre-seek countdown is on hold
+        this.pausedAt = null; // When the current pause began, so the seek clock can skip it
         this.soundRotationTimeout = null;
         this.nextPlayerIndexToPlay = 0; // Index for round-robin sound rotation among eligible players
         this.assignedAnimalSounds = new Set(); // Track used sounds in this room
         this.assignedUnfoundSounds = new Set();
+        this.assignedSynthSounds = new Set(); // Synth sound keys in use
         this.sharedRemainingSoundPlays = 0; // Unused sounds from found phones are recycled to remaining phones
         this.unfoundPlayerQueue = []; // For Hider win reveal sequence
         this.activeUnfoundPlayerId = null; // Tracks who is playing sound in reveal
+        this.lastSnapshotKey = null; // _getSnapshotKey() when a snapshot was last queued
+        this.cachedLogger = null; // Child logger behind `log`, rebuilt when gameState changes
     }
 
     // --- Player Management ---
 
+    /**
+     * Checks a join attempt against the room's state, bans and the Hider's access settings. Throws if
+     * the join can't succeed (already a member, a phone joining after the start, a banned device, a
+     * locked room, too many PIN guesses); returns false if the room has a PIN and `pin` doesn't match it.
+     */
+    checkJoinAccess(socket, pin, asController) {
+        // Joins that would fail anyway fail first, so no one is asked for a PIN only to be turned away after
+        if (this.hasMember(socket.id)) throw new Error("Cannot join room: You are already in this room.");
+        if (!asController && this.gameState !== GAME_STATE.WAITING) throw new Error("Cannot join room: Game has already started.");
+
+        const deviceId = getDeviceId(socket);
+        if (deviceId && this.bannedDeviceIds.has(deviceId)) throw new Error("The Hider removed this device from the room.");
+        if (this.isLocked) throw new Error("This room is locked. Ask the Hider to unlock it.");
+        if (!this.joinPin) return true;
+        if (!pin) return false; // First try without a PIN just asks for one; it isn't a guess
+        if (!consumeRateLimit(`joinPin:${this.roomCode}:${getRateLimitClientKey(socket)}`, MAX_JOIN_PIN_ATTEMPTS_PER_CLIENT)) {
+            throw new Error("Too many PIN attempts. Wait a minute and try again.");
+        }
+        if (!consumeRateLimit(`joinPin:${this.roomCode}`, MAX_JOIN_PIN_ATTEMPTS_PER_ROOM)) {
+            throw new Error("Too many PIN attempts for this room. Wait a minute and try again.");
+        }
+        if (typeof pin !== 'string' || pin.length !== this.joinPin.length) return false;
+        return crypto.timingSafeEqual(Buffer.from(pin), Buffer.from(this.joinPin));
+    }
+
+    /** Hider-only: sets the join PIN (empty clears it) and whether the room is locked. */
+    updateRoomAccess(socketId, { joinPin, isLocked }) {
+        const player = this.players[socketId];
+        if (!player || player.role !== PLAYER_ROLE.HIDER) throw new Error("Only the Hider can change who may join.");
+
+        const pin = (joinPin || '').trim();
+        if (pin && !JOIN_PIN_PATTERN.test(pin)) {
+            throw new Error(`The PIN must be ${MIN_JOIN_PIN_LENGTH}-${MAX_JOIN_PIN_LENGTH} digits.`);
+        }
+        this.joinPin = pin || null;
+        this.isLocked = isLocked;
+
+        this.log.info(`Room access updated: ${this.isLocked ? 'locked' : 'unlocked'}, ${this.joinPin ? 'PIN set' : 'no PIN'}.`, {
+            playerNumber: player.number,
+            socketId,
+            event: 'updateRoomAccess',
+        });
+        this.broadcastUpdateState();
+        scheduleRoomSnapshot();
+    }
+
     addPlayer(socket) {
         if (this.gameState !== GAME_STATE.WAITING) {
             throw new Error("Cannot join room: Game has already started.");
         }
-        if (this.players[socket.id]) {
+        if (this.hasMember(socket.id)) {
              throw new Error("Cannot join room: You are already in this room.");
         }
 
-        const playerNumber = Object.keys(this.players).length + 1;
-        const role = (playerNumber === 1) ? PLAYER_ROLE.HIDER : PLAYER_ROLE.SEEKER;
+        const role = Object.keys(this.players).length === 0 ? PLAYER_ROLE.HIDER : PLAYER_ROLE.SEEKER;
+        const playerNumber = this.nextPlayerNumber++;
         const newPlayer = new Player(socket.id, playerNumber, role);
+        newPlayer.deviceId = getDeviceId(socket);
 
         this._assignUniqueSounds(newPlayer); // Assign sounds internally
         this.players[socket.id] = newPlayer;
         socket.join(this.roomCode);
+        socket.emit('sessionToken', { roomCode: this.roomCode, sessionToken: newPlayer.sessionToken });
 
-        console.log(`[${this.roomCode}] P${playerNumber} (${socket.id}, ${role}) joined. Sounds: A=${newPlayer.uniqueAnimalSoundURL}, U=${newPlayer.uniqueUnfoundSoundURL}`);
+        this.log.info(`P${playerNumber} (${role}) joined. Sounds: A=${newPlayer.uniqueAnimalSoundURL}, U=${newPlayer.uniqueUnfoundSoundURL}, S=${newPlayer.synthSoundKey}`, {
+            playerNumber,
+            socketId: socket.id,
+            event: 'joinRoom',
+        });
+        this._logEvent(ROUND_EVENT.JOINED, { member: this._describeMember(newPlayer), role });
         this.broadcastUpdateState();
         return newPlayer;
     }
 
+    /** Adds a controller device. Unlike phones, controllers may join in any game state. */
+    addController(socket) {
+        if (this.hasMember(socket.id)) {
+            throw new Error("Cannot join room: You are already in this room.");
+        }
+
+        const controller = new Controller(socket.id, this.nextControllerNumber++);
+        this.controllers[socket.id] = controller;
+        socket.join(this.roomCode);
+        socket.emit('sessionToken', { roomCode: this.roomCode, sessionToken: controller.sessionToken });
+
+        this.log.info(`Controller ${controller.number} joined.`, { socketId: socket.id, event: 'joinRoomAsController' });
+        this._logEvent(ROUND_EVENT.JOINED, { member: this._describeMember(controller) });
+        this.broadcastUpdateState();
+        if (this._isPreSeekCountdownActive()) {
+            socket.emit('preSeekCountdown', this.preSeekCountdownValue);
+        }
+        return controller;
+    }
+
+    removeController(socketId) {
+        const controller = this.controllers[socketId];
+        if (!controller) return false;
+
+        this.log.info(`Controller ${controller.number} left.`, { socketId, event: 'memberLeft' });
+        this._logEvent(ROUND_EVENT.LEFT, { member: this._describeMember(controller) });
+        if (controller.disconnectTimeout) clearTimeout(controller.disconnectTimeout);
+        delete this.controllers[socketId];
+
+        if (this.isEmpty()) {
+            this.log.info('Room empty after controller left.');
+            this.clearGameIntervals();
+            return true;
+        }
+        this.broadcastUpdateState();
+        return false;
+    }
+
+    /** Removes a phone or controller. Returns true if the room should be deleted. */
+    removeMember(socketId) {
+        return this.controllers[socketId] ? this.removeController(socketId) : this.removePlayer(socketId);
+    }
+
     removePlayer(socketId) {
         const disconnectedPlayer = this.players[socketId];
         if (!disconnectedPlayer) return false; // Player wasn't in this room
 
-        console.log(`[${this.roomCode}] P${disconnectedPlayer.number} (${socketId}, ${disconnectedPlayer.role}) disconnected/left.`);
+        this.log.info(`P${disconnectedPlayer.number} (${disconnectedPlayer.role}) disconnected/left.`, { playerNumber: disconnectedPlayer.number, socketId, event: 'memberLeft' });
+        this._logEvent(ROUND_EVENT.LEFT, { member: this._describeMember(disconnectedPlayer), role: disconnectedPlayer.role });
+        if (disconnectedPlayer.disconnectTimeout) clearTimeout(disconnectedPlayer.disconnectTimeout);
+        disconnectedPlayer.disconnectTimeout = null;
 
         // Store info before removing
         const wasHider = disconnectedPlayer.role === PLAYER_ROLE.HIDER;
@@ -214,8 +1275,8 @@ class Room {
         const wasInGameOverReveal = this.gameState === GAME_STATE.GAME_OVER && this.winner === WINNER_TYPE.HIDER;
 
         // Make player's sounds available again
-        if (disconnectedPlayer.uniqueAnimalSoundURL) this.assignedAnimalSounds.delete(disconnectedPlayer.uniqueAnimalSoundURL);
-        if (disconnectedPlayer.uniqueUnfoundSoundURL) this.assignedUnfoundSounds.delete(disconnectedPlayer.uniqueUnfoundSoundURL);
+        this._releaseSounds(disconnectedPlayer);
+        deleteCustomSoundFile(disconnectedPlayer.customSoundURL);
 
         // Remove player from room state
         delete this.players[socketId];
@@ -224,7 +1285,7 @@ class Room {
 
         // If room is now empty, signal for deletion
         if (this.isEmpty()) {
-            console.log(`[${this.roomCode}] Room empty after disconnect.`);
+            this.log.info('Room empty after disconnect.');
             this.clearGameIntervals(); // Clean up intervals before deletion
             return true; // Indicate room should be deleted
         }
@@ -234,15 +1295,15 @@ class Room {
             if (wasHider) this._promoteNewHider();
             this.broadcastUpdateState();
         } else if (wasInHiding) {
-            if (this._checkAllRemainingReady() && !this.preSeekCountdownInterval) {
-                console.log(`[${this.roomCode}] Disconnect during Hiding triggered readiness. Starting countdown.`);
+            if (this._checkAllRemainingReady() && !this._isPreSeekCountdownActive()) {
+                this.log.info('Disconnect during Hiding triggered readiness. Starting countdown.');
                 this.startPreSeekCountdown();
             } else {
                 this.broadcastUpdateState();
             }
         } else if (wasInSeeking) {
             if (wasHider) {
-                console.log(`[${this.roomCode}] Hider disconnected during Seeking. Seekers win.`);
+                this.log.info('Hider disconnected during Seeking. Seekers win.');
                 this.endGame(WINNER_TYPE.SEEKERS);
             } else {
                 // If a Seeker disconnected, check win condition again
@@ -256,7 +1317,7 @@ class Room {
             if (queueIndex > -1) this.unfoundPlayerQueue.splice(queueIndex, 1);
 
             if (wasActiveUnfound) {
-                console.log(`[${this.roomCode}] Active reveal player disconnected. Activating next...`);
+                this.log.info('Active reveal player disconnected. Activating next...');
                 this.activateNextUnfoundPlayer();
             } else {
                 this.broadcastUpdateState();
@@ -268,14 +1329,162 @@ class Room {
         return false; // Indicate room should not be deleted
     }
 
+    /**
+     * Holds a dropped member's seat for RECONNECT_GRACE_PERIOD_MS instead of removing them.
+     * A phone keeps its number, role, sounds and progress until the grace period expires.
+     */
+    markMemberDisconnected(socketId) {
+        const member = this.players[socketId] || this.controllers[socketId];
+        if (!member) return;
+
+        this.log.info(`${this._describeMember(member)} lost connection. Holding seat for ${RECONNECT_GRACE_PERIOD_MS / 1000}s.`, {
+            playerNumber: this.players[socketId]?.number,
+            socketId,
+            event: 'disconnect',
+        });
+        metrics.disconnects.inc({ state: this.gameState });
+        this._logEvent(ROUND_EVENT.DISCONNECTED, { member: this._describeMember(member) });
+        this._holdSeat(member);
+        this.broadcastUpdateState();
+    }
+
+    /** Marks the member offline and removes them unless they resume within the grace period. */
+    _holdSeat(member) {
+        member.isConnected = false;
+        if (member.disconnectTimeout) clearTimeout(member.disconnectTimeout);
+        member.disconnectTimeout = setTimeout(() => {
+            member.disconnectTimeout = null;
+            // Ignore if the room was deleted or the member already left
+            if (activeRooms[this.roomCode] !== this || this._getMember(member.id) !== member) return;
+
+            this.log.info(`${this._describeMember(member)} did not reconnect in time. Removing.`, { socketId: member.id, event: 'seatExpired' });
+            removeMemberFromRoom(this, member.id);
+        }, RECONNECT_GRACE_PERIOD_MS);
+    }
+
+    /**
+     * Reattaches a returning client to the phone or controller seat identified by its session token.
+     * The member is re-keyed under the new socket id, and any older socket still holding the seat is dropped.
+     */
+    resumeMember(socket, sessionToken) {
+        const player = Object.values(this.players).find(p => p.sessionToken === sessionToken);
+        const member = player || Object.values(this.controllers).find(c => c.sessionToken === sessionToken);
+        if (!member) throw new Error("Your previous game is no longer available.");
+
+        if (member.disconnectTimeout) clearTimeout(member.disconnectTimeout);
+        member.disconnectTimeout = null;
+
+        const previousSocketId = member.id;
+        if (previousSocketId !== socket.id) {
+            const collection = player ? this.players : this.controllers;
+            delete collection[previousSocketId];
+            member.id = socket.id;
+            collection[socket.id] = member;
+
+            if (this.activeUnfoundPlayerId === previousSocketId) this.activeUnfoundPlayerId = socket.id;
+            this.unfoundPlayerQueue = this.unfoundPlayerQueue.map(id => (id === previousSocketId ? socket.id : id));
+            // Ping and hint entries point at phones by socket id; keep them pointing at the resumed seat
+            [...this.pingHistory, ...this.hints].forEach(entry => {
+                if (entry.playerId === previousSocketId) entry.playerId = socket.id;
+            });
+
+            // The old socket may not have timed out yet (e.g. a quick Wi-Fi blip)
+            const previousSocket = this.io.sockets.sockets.get(previousSocketId);
+            if (previousSocket) {
+                previousSocket.leave(this.roomCode);
+                previousSocket.disconnect(true);
+            }
+        }
+
+        member.isConnected = true;
+        socket.join(this.roomCode);
+        socket.emit('sessionToken', { roomCode: this.roomCode, sessionToken: member.sessionToken });
+        this.log.info(`${this._describeMember(member)} resumed session (previous socket ${previousSocketId}).`, {
+            playerNumber: player?.number,
+            socketId: socket.id,
+            event: 'resumeSession',
+        });
+        this._logEvent(ROUND_EVENT.RECONNECTED, { member: this._describeMember(member) });
+
+        this.broadcastUpdateState();
+
+        // Catch the returning device up on events it may have missed
+        if (this._isPreSeekCountdownActive()) {
+            socket.emit('preSeekCountdown', this.preSeekCountdownValue);
+        }
+        if (player && this.gameState === GAME_STATE.GAME_OVER && this.activeUnfoundPlayerId === socket.id && player.getRevealSound()) {
+            socket.emit('becomeActiveUnfound', player.getRevealSound());
+        }
+        return member;
+    }
+
+    /** Logger whose entries carry this room's code and current game state. */
+    get log() {
+        if (this.cachedLogger?.gameState !== this.gameState) {
+            this.cachedLogger = { gameState: this.gameState, log: logger.child({ roomCode: this.roomCode, gameState: this.gameState }) };
+        }
+        return this.cachedLogger.log;
+    }
+
+    _getMember(socketId) {
+        return this.players[socketId] || this.controllers[socketId];
+    }
+
+    _describeMember(member) {
+        return member instanceof Controller ? `Controller ${member.number}` : `P${member.number}`;
+    }
+
+    hasMember(socketId) {
+        return !!this._getMember(socketId);
+    }
+
+    /** A room is empty once no phones and no controllers remain. */
     isEmpty() {
-        return Object.keys(this.players).length === 0;
+        return this.getPlayerCount() === 0 && Object.keys(this.controllers).length === 0;
     }
 
     getPlayer(socketId) {
         return this.players[socketId];
     }
 
+    getPlayerByNumber(number) {
+        return Object.values(this.players).find(p => p.number === number) || null;
+    }
+
+    /**
+     * Hider-only: sends a phone back to the join view in any phase. `ban` also blocks its device from
+     * rejoining. The caller frees the seat with removeMemberFromRoom, which adjusts the round like a leave.
+     */
+    kickPlayer(requesterSocketId, targetPlayerId, ban) {
+        const requester = this.players[requesterSocketId];
+        if (!requester || requester.role !== PLAYER_ROLE.HIDER) throw new Error("Only the Hider can remove phones.");
+        const target = this.players[targetPlayerId];
+        if (!target) throw new Error("That phone is no longer in the room.");
+        if (target === requester) throw new Error("You can't remove your own phone. Use Back to leave the room.");
+
+        if (ban && target.deviceId) this.bannedDeviceIds.add(target.deviceId);
+        this.log.info(`Hider ${ban ? 'banned' : 'kicked'} P${target.number}.`, {
+            playerNumber: target.number,
+            socketId: target.id,
+            event: 'kickPlayer',
+            banned: ban && !!target.deviceId, // Old clients send no device id and can only be kicked
+        });
+        this.dismissMember(target.id, ban
+            ? 'The Hider removed this phone from the room and blocked it from rejoining.'
+            : 'The Hider removed this phone from the room.');
+    }
+
+    /**
+     * Sends a member's device back to the join view with `message` and takes its socket out of the room.
+     * The seat itself is freed by the caller (removePlayer or removeMemberFromRoom).
+     */
+    dismissMember(socketId, message) {
+        const socket = this.io.sockets.sockets.get(socketId);
+        if (!socket) return;
+        socket.leave(this.roomCode);
+        socket.emit('sessionExpired', message);
+    }
+
     getPlayerCount() {
         return Object.keys(this.players).length;
     }
@@ -290,7 +1499,7 @@ class Room {
     }
 
     canPlayerReceiveScheduledSound(player) {
-        return !player.isFound && (this.getPersonalSoundsRemaining(player) > 0 || this.sharedRemainingSoundPlays > 0);
+        return !player.isFound && player.isConnected && (this.getPersonalSoundsRemaining(player) > 0 || this.sharedRemainingSoundPlays > 0);
     }
 
     recycleUnusedSounds(player) {
@@ -298,8 +1507,9 @@ class Room {
         if (unusedPersonalSounds <= 0) return;
 
         this.sharedRemainingSoundPlays += unusedPersonalSounds;
-        console.log(
-            `[${this.roomCode}] Recycled ${unusedPersonalSounds} unused sound plays from P${player.number}. Shared pool: ${this.sharedRemainingSoundPlays}.`
+        this.log.info(
+            `Recycled ${unusedPersonalSounds} unused sound plays from P${player.number}. Shared pool: ${this.sharedRemainingSoundPlays}.`,
+            { playerNumber: player.number, event: 'soundsRecycled' }
         );
     }
 
@@ -322,7 +1532,8 @@ class Room {
         const remainingPlayers = Object.values(this.players).sort((a, b) => a.number - b.number);
         if (remainingPlayers.length > 0) {
             remainingPlayers[0].role = PLAYER_ROLE.HIDER;
-            console.log(`[${this.roomCode}] P${remainingPlayers[0].number} (${remainingPlayers[0].id}) promoted to Hider.`);
+            this.log.info(`P${remainingPlayers[0].number} promoted to Hider.`, { playerNumber: remainingPlayers[0].number, socketId: remainingPlayers[0].id, event: 'hiderPromoted' });
+            this._logEvent(ROUND_EVENT.JOINED, { member: this._describeMember(remainingPlayers[0]), role: PLAYER_ROLE.HIDER, promoted: true });
             // Note: Player numbers are not reassigned for simplicity
         }
     }
@@ -330,111 +1541,289 @@ class Room {
     // --- Sound Assignment ---
 
     _assignUniqueSounds(player) {
-        let animalSoundURL = BASE_ANIMAL_SOUNDS[0] || null;
-        let unfoundSoundURL = BASE_UNFOUND_SOUNDS[0] || null;
+        if (this.soundMode === SOUND_MODE.SYNTH) {
+            // A custom clip still replaces the seek sound; everything else is synthesized
+            player.uniqueAnimalSoundURL = player.customSoundURL;
+            player.uniqueUnfoundSoundURL = null;
+            player.synthSoundKey = pickDistinctSynthSound(this.assignedSynthSounds);
+            this.assignedSynthSounds.add(player.synthSoundKey);
+            return;
+        }
 
-        if (NUM_UNIQUE_SOUND_PAIRS > 0) {
-            const availableAnimal = BASE_ANIMAL_SOUNDS.filter(s => !this.assignedAnimalSounds.has(s));
-            if (availableAnimal.length > 0) {
-                animalSoundURL = availableAnimal[Math.floor(Math.random() * availableAnimal.length)];
-            } else {
-                animalSoundURL = BASE_ANIMAL_SOUNDS[(player.number - 1) % NUM_UNIQUE_SOUND_PAIRS];
-                console.warn(`[${this.roomCode}] Ran out of unique animal sounds, assigning fallback: ${animalSoundURL}`);
-            }
-            this.assignedAnimalSounds.add(animalSoundURL);
+        player.synthSoundKey = null;
+        const pack = getSoundPack(this.soundPackId);
+        // A custom clip takes the place of the pack's seek sound; the reveal sound still comes from the pack
+        player.uniqueAnimalSoundURL = player.customSoundURL
+            || this._pickUnassignedSound(pack, pack.seekSounds, this.assignedAnimalSounds, player);
+        player.uniqueUnfoundSoundURL = this._pickUnassignedSound(pack, pack.revealSounds, this.assignedUnfoundSounds, player);
+    }
 
-            const availableUnfound = BASE_UNFOUND_SOUNDS.filter(s => !this.assignedUnfoundSounds.has(s));
-            if (availableUnfound.length > 0) {
-                unfoundSoundURL = availableUnfound[Math.floor(Math.random() * availableUnfound.length)];
-            } else {
-                unfoundSoundURL = BASE_UNFOUND_SOUNDS[(player.number - 1) % NUM_UNIQUE_SOUND_PAIRS];
-                console.warn(`[${this.roomCode}] Ran out of unique unfound sounds, assigning fallback: ${unfoundSoundURL}`);
-            }
-            this.assignedUnfoundSounds.add(unfoundSoundURL);
+    /** Picks a random sound not yet used in this room, falling back to a shared one when the pack runs out. */
+    _pickUnassignedSound(pack, sounds, assignedSounds, player) {
+        const urls = sounds.map(sound => sound.url);
+        const available = urls.filter(url => !assignedSounds.has(url));
+
+        let soundURL;
+        if (available.length > 0) {
+            soundURL = available[Math.floor(Math.random() * available.length)];
         } else {
-             console.error(`[${this.roomCode}] No sound pairs defined or available! Assigning null.`);
-             animalSoundURL = null;
-             unfoundSoundURL = null;
+            soundURL = urls[(player.number - 1) % urls.length];
+            this.log.warn(`Ran out of unique sounds in pack "${pack.id}", assigning fallback: ${soundURL}`);
         }
-        player.uniqueAnimalSoundURL = animalSoundURL;
-        player.uniqueUnfoundSoundURL = unfoundSoundURL;
+        assignedSounds.add(soundURL);
+        return soundURL;
+    }
+
+    /** Returns a player's pack sounds to the pool of unassigned sounds. */
+    _releaseSounds(player) {
+        if (player.uniqueAnimalSoundURL) this.assignedAnimalSounds.delete(player.uniqueAnimalSoundURL);
+        if (player.uniqueUnfoundSoundURL) this.assignedUnfoundSounds.delete(player.uniqueUnfoundSoundURL);
+        if (player.synthSoundKey) this.assignedSynthSounds.delete(player.synthSoundKey);
+    }
+
+    getPlayerBySessionToken(sessionToken) {
+        if (typeof sessionToken !== 'string' || !sessionToken) return null;
+        return Object.values(this.players).find(p => p.sessionToken === sessionToken) || null;
+    }
+
+    /** Replaces a player's seek sound with their uploaded clip (or restores a pack sound when `soundURL` is null). */
+    setPlayerCustomSound(socketId, soundURL) {
+        const player = this.getPlayer(socketId);
+        if (!player) throw new Error("Player not found in room.");
+        if (this.gameState !== GAME_STATE.WAITING) throw new Error("Custom sounds can only be changed while waiting.");
+
+        const previousCustomSoundURL = player.customSoundURL;
+        this._releaseSounds(player);
+        player.customSoundURL = soundURL;
+        this._assignUniqueSounds(player);
+        if (previousCustomSoundURL && previousCustomSoundURL !== soundURL) deleteCustomSoundFile(previousCustomSoundURL);
+
+        this.log.info(`P${player.number} ${soundURL ? `uploaded custom sound ${soundURL}` : 'cleared custom sound'}.`, { playerNumber: player.number, event: 'customSound' });
+        this.broadcastUpdateState();
+        scheduleRoomSnapshot();
+    }
+
+    /** Clears and re-assigns every player's sounds, e.g. for a new round, sound pack or sound mode. */
+    _reassignAllSounds() {
+        this.assignedAnimalSounds.clear();
+        this.assignedUnfoundSounds.clear();
+        this.assignedSynthSounds.clear();
+        Object.values(this.players)
+            .sort((a, b) => a.number - b.number)
+            .forEach(p => this._assignUniqueSounds(p));
     }
 
     // --- Game State & Logic ---
 
+    /** Applies a settings update from the Hider. Nothing changes unless every sent setting is valid. */
     updateSettings(settings) {
-        let updated = false;
-        // Validate and update Time Limit
-        const newTimeLimit = parseInt(settings?.seekTimeLimit, 10);
-        if (!isNaN(newTimeLimit) && newTimeLimit >= MIN_SEEK_TIME_LIMIT_S && newTimeLimit <= MAX_SEEK_TIME_LIMIT_S) {
-            if (this.seekTimeLimit !== newTimeLimit) {
-                this.seekTimeLimit = newTimeLimit;
-                console.log(`[${this.roomCode}] Time limit updated to ${newTimeLimit}s.`);
-                updated = true;
-            }
-        } else if (settings?.seekTimeLimit !== undefined) {
-            throw new Error(`Invalid time limit. Must be between ${MIN_SEEK_TIME_LIMIT_S} and ${MAX_SEEK_TIME_LIMIT_S} seconds.`);
+        const changes = Object.entries(this._validateSettings(settings)).filter(([key, value]) => (
+            Array.isArray(value) ? value.join('\n') !== this[key].join('\n') : this[key] !== value
+        ));
+        if (changes.length === 0) return;
+
+        changes.forEach(([key, value]) => { this[key] = value; });
+        if (changes.some(([key]) => key === 'soundPackId' || key === 'soundMode')) {
+            this._reassignAllSounds(); // Sounds must come from the newly selected pack and mode
         }
+        const summary = changes.map(([key, value]) => `${key}=${Array.isArray(value) ? `[${value.join(', ')}]` : value}`).join(', ');
+        this.log.info(`Settings updated: ${summary}.`, { event: 'updateSettings' });
+        this.broadcastUpdateState();
+        scheduleRoomSnapshot(); // Settings aren't part of the transition key
+    }
 
-        // Validate and update Sound Plays per Player
-        const newSoundPlays = parseInt(settings?.soundPlaysPerPlayer, 10);
-        if (!isNaN(newSoundPlays) && newSoundPlays >= MIN_SOUND_PLAYS && newSoundPlays <= MAX_SOUND_PLAYS) {
-            if (this.soundPlaysPerPlayer !== newSoundPlays) {
-                this.soundPlaysPerPlayer = newSoundPlays;
-                console.log(`[${this.roomCode}] Sound plays per player updated to ${newSoundPlays}.`);
-                updated = true;
+    /**
+     * Validates every setting in an update before any of it is applied.
+     * @returns {object} The sent settings, parsed, keyed by the room field each one sets.
+     * @throws {Error} With a user-facing message for the first invalid setting.
+     */
+    _validateSettings(settings) {
+        const parsed = {};
+        const inRange = (min, max) => value => value >= min && value <= max;
+        const readInt = (key, isValid, message) => {
+            if (settings?.[key] === undefined) return;
+            const value = parseInt(settings[key], 10);
+            if (isNaN(value) || !isValid(value)) throw new Error(message);
+            parsed[key] = value;
+        };
+        const readOption = (key, options, message) => {
+            if (settings?.[key] === undefined) return;
+            if (!options.includes(settings[key])) throw new Error(message);
+            parsed[key] = settings[key];
+        };
+
+        readInt('seekTimeLimit', inRange(MIN_SEEK_TIME_LIMIT_S, MAX_SEEK_TIME_LIMIT_S),
+            `Invalid time limit. Must be between ${MIN_SEEK_TIME_LIMIT_S} and ${MAX_SEEK_TIME_LIMIT_S} seconds.`);
+        // 0 disables the hiding time limit
+        readInt('hidingTimeLimitS', value => value === 0 || inRange(MIN_HIDING_TIME_LIMIT_S, MAX_HIDING_TIME_LIMIT_S)(value),
+            `Invalid hiding time limit. Use 0 for no limit, or between ${MIN_HIDING_TIME_LIMIT_S} and ${MAX_HIDING_TIME_LIMIT_S} seconds.`);
+        readOption('hidingTimeoutAction', Object.values(HIDING_TIMEOUT_ACTION), "Unknown action for unconfirmed phones.");
+        readInt('soundPlaysPerPlayer', inRange(MIN_SOUND_PLAYS, MAX_SOUND_PLAYS),
+            `Invalid sounds per phone. Must be between ${MIN_SOUND_PLAYS} and ${MAX_SOUND_PLAYS}.`);
+        readOption('soundSchedulerId', Object.keys(SOUND_SCHEDULERS), "Unknown sound schedule.");
+        readInt('frenzyWindowS', inRange(MIN_FRENZY_WINDOW_S, MAX_FRENZY_WINDOW_S),
+            `Invalid frenzy window. Must be between ${MIN_FRENZY_WINDOW_S} and ${MAX_FRENZY_WINDOW_S} seconds.`);
+        readInt('startVolumePercent', inRange(MIN_VOLUME_PERCENT, MAX_VOLUME_PERCENT),
+            `Invalid start volume. Must be between ${MIN_VOLUME_PERCENT}% and ${MAX_VOLUME_PERCENT}%.`);
+        readInt('endVolumePercent', inRange(MIN_VOLUME_PERCENT, MAX_VOLUME_PERCENT),
+            `Invalid end volume. Must be between ${MIN_VOLUME_PERCENT}% and ${MAX_VOLUME_PERCENT}%.`);
+        readInt('playbackRatePercent', inRange(MIN_PLAYBACK_RATE_PERCENT, MAX_PLAYBACK_RATE_PERCENT),
+            `Invalid playback speed. Must be between ${MIN_PLAYBACK_RATE_PERCENT}% and ${MAX_PLAYBACK_RATE_PERCENT}%.`);
+        readOption('muffleMode', Object.values(MUFFLE_MODE), "Unknown muffle mode.");
+        readInt('pingsPerRound', inRange(MIN_PINGS_PER_ROUND, MAX_PINGS_PER_ROUND),
+            `Invalid pings per round. Must be between ${MIN_PINGS_PER_ROUND} and ${MAX_PINGS_PER_ROUND}.`);
+        readInt('pingTimeCostS', inRange(MIN_PING_TIME_COST_S, MAX_PING_TIME_COST_S),
+            `Invalid ping time cost. Must be between ${MIN_PING_TIME_COST_S} and ${MAX_PING_TIME_COST_S} seconds.`);
+        readInt('decoyRatioPercent', inRange(MIN_DECOY_RATIO_PERCENT, MAX_DECOY_RATIO_PERCENT),
+            `Invalid decoy ratio. Must be between ${MIN_DECOY_RATIO_PERCENT} and ${MAX_DECOY_RATIO_PERCENT}%.`);
+        readOption('foundConfirmation', Object.values(FOUND_CONFIRMATION), "Unknown found confirmation mode.");
+        readOption('pickupDetection', Object.values(PICKUP_DETECTION), "Unknown pickup detection mode.");
+        readInt('pickupAutoFoundDelayS', inRange(MIN_PICKUP_AUTO_FOUND_DELAY_S, MAX_PICKUP_AUTO_FOUND_DELAY_S),
+            `Invalid pickup delay. Must be between ${MIN_PICKUP_AUTO_FOUND_DELAY_S} and ${MAX_PICKUP_AUTO_FOUND_DELAY_S} seconds.`);
+
+        if (settings?.hidingZones !== undefined) {
+            if (!Array.isArray(settings.hidingZones) || settings.hidingZones.length > MAX_HIDING_ZONES) {
+                throw new Error(`Invalid zones. Up to ${MAX_HIDING_ZONES} zones are allowed.`);
+            }
+            const zones = settings.hidingZones.map(zone => (typeof zone === 'string' ? zone.trim() : ''));
+            if (zones.some(zone => !zone || zone.length > MAX_ZONE_LABEL_LENGTH)) {
+                throw new Error(`Zone names must be 1-${MAX_ZONE_LABEL_LENGTH} characters.`);
             }
-        } else if (settings?.soundPlaysPerPlayer !== undefined) {
-            throw new Error(`Invalid sounds per phone. Must be between ${MIN_SOUND_PLAYS} and ${MAX_SOUND_PLAYS}.`);
+            if (new Set(zones.map(zone => zone.toLowerCase())).size !== zones.length) {
+                throw new Error("Zone names must be unique.");
+            }
+            parsed.hidingZones = zones;
         }
 
-        if (updated) {
-            this.broadcastUpdateState();
-        }
+        // 0 disables scheduled hints
+        readInt('hintIntervalS', value => value === 0 || inRange(MIN_HINT_INTERVAL_S, MAX_HINT_INTERVAL_S)(value),
+            `Invalid hint interval. Use 0 (off) or ${MIN_HINT_INTERVAL_S}-${MAX_HINT_INTERVAL_S} seconds.`);
+        readInt('hintRequestsPerRound', inRange(MIN_HINT_REQUESTS_PER_ROUND, MAX_HINT_REQUESTS_PER_ROUND),
+            `Invalid hint requests per round. Must be between ${MIN_HINT_REQUESTS_PER_ROUND} and ${MAX_HINT_REQUESTS_PER_ROUND}.`);
+        readInt('hintTimeCostS', inRange(MIN_HINT_TIME_COST_S, MAX_HINT_TIME_COST_S),
+            `Invalid hint time cost. Must be between ${MIN_HINT_TIME_COST_S} and ${MAX_HINT_TIME_COST_S} seconds.`);
+        readOption('soundPackId', Object.keys(SOUND_PACKS), "Unknown sound pack.");
+        readOption('soundMode', Object.values(SOUND_MODE), "Unknown sound mode.");
+        return parsed;
     }
 
     startHidingPhase() {
         if (this.gameState !== GAME_STATE.WAITING) throw new Error("Game is not in Waiting state.");
         if (this.getPlayerCount() < MIN_PLAYERS_TO_START) throw new Error(`Need at least ${MIN_PLAYERS_TO_START} players to start.`);
 
-        console.log(`[${this.roomCode}] Initiating Hiding phase.`);
+        this.log.info('Initiating Hiding phase.', { event: 'startHiding' });
+        metrics.roundsStarted.inc();
         this.gameState = GAME_STATE.HIDING;
         Object.values(this.players).forEach(p => p.resetForNewGame()); // Reset ready/found/soundsPlayed
         this.clearGameIntervals(); // Ensure no old timers
         this.sharedRemainingSoundPlays = 0;
+        this.pingsRemaining = 0;
+        this.pingHistory = [];
+        this.hintRequestsRemaining = 0;
+        this.scheduledHintCount = 0;
+        this.hints = [];
         this.winner = null;
         this.seekStartTime = null;
+        this.seekStartedAt = null;
+        this.hidingStartTime = Date.now();
+        this._logEvent(ROUND_EVENT.HIDING_STARTED, { phones: this._getRoster(), settings: this._getRoundSettings() });
+        this._armHidingTimeLimit();
         this.broadcastUpdateState();
     }
 
-    confirmPlayerHidden(socketId) {
+    /** Schedules the end of hiding for the time left on the hiding time limit, if one is set. */
+    _armHidingTimeLimit() {
+        if (this.hidingTimeout) clearTimeout(this.hidingTimeout);
+        this.hidingTimeout = null;
+        if (this.hidingTimeLimitS <= 0 || !this.hidingStartTime) return;
+
+        const remainingMs = Math.max(0, this.hidingStartTime + this.hidingTimeLimitS * 1000 - Date.now());
+        this.hidingTimeout = setTimeout(() => {
+            this.hidingTimeout = null;
+            if (activeRooms[this.roomCode] !== this) return; // Room was deleted or replaced
+            this.log.info('Hiding time limit reached.', { event: 'hidingTimeLimit' });
+            this._finishHidingPhase();
+        }, remainingMs);
+    }
+
+    /** Ends hiding before every phone is confirmed. Same outcome as the hiding time limit running out. */
+    forceStartSeeking(socketId) {
+        const member = this._getMember(socketId);
+        if (!member) throw new Error("Player not found in room.");
+        if (!this._canControlRound(member)) throw new Error("Only the Hider or a controller can force the start.");
+        if (this.gameState !== GAME_STATE.HIDING) throw new Error("Not in Hiding phase.");
+        if (this._isPreSeekCountdownActive()) return; // Already counting down
+
+        this.log.info(`${this._describeMember(member)} forced the start of seeking.`, { socketId, event: 'forceStartSeeking' });
+        this._finishHidingPhase();
+    }
+
+    /** Confirms or drops every unconfirmed phone (per hidingTimeoutAction), then starts the pre-seek countdown. */
+    _finishHidingPhase() {
+        if (this.gameState !== GAME_STATE.HIDING || this._isPreSeekCountdownActive()) return;
+        if (this.hidingTimeout) clearTimeout(this.hidingTimeout);
+        this.hidingTimeout = null;
+
+        Object.values(this.players).filter(p => !p.isReady).forEach(player => {
+            if (this.hidingTimeoutAction === HIDING_TIMEOUT_ACTION.DROP && player.role !== PLAYER_ROLE.HIDER) {
+                this.log.info(`Dropping unconfirmed P${player.number}.`, { playerNumber: player.number, socketId: player.id, event: 'hidingTimeLimit' });
+                this.dismissMember(player.id, 'Your phone was not confirmed hidden in time and was removed from the game.');
+                this.removePlayer(player.id); // The Hider is kept, so the room never empties here
+            } else {
+                player.isReady = true;
+                this.log.info(`Auto-confirmed P${player.number} as hidden.`, { playerNumber: player.number, socketId: player.id, event: 'hidingTimeLimit' });
+                this._logEvent(ROUND_EVENT.CONFIRMED_HIDDEN, { playerNumber: player.number, auto: true });
+            }
+        });
+
+        this.startPreSeekCountdown(); // No-op if dropping the last unconfirmed phone already started it
+    }
+
+    /**
+     * Marks a phone as hidden. `details` may carry the Hider's note on where it is
+     * and one of the room's zone labels; both stay private until Game Over.
+     */
+    confirmPlayerHidden(socketId, details) {
         const player = this.getPlayer(socketId);
         if (!player) throw new Error("Player not found in room.");
         if (this.gameState !== GAME_STATE.HIDING) throw new Error("Not in Hiding phase.");
         if (player.isReady) return; // Already confirmed
 
+        const note = typeof details?.note === 'string' ? details.note.trim() : '';
+        if (note.length > MAX_HIDING_NOTE_LENGTH) throw new Error(`Notes can be at most ${MAX_HIDING_NOTE_LENGTH} characters.`);
+        const zone = details?.zone || null;
+        if (zone && !this.hidingZones.includes(zone)) throw new Error("Unknown zone.");
+
+        player.hidingNote = note || null;
+        player.hidingZone = zone;
         player.isReady = true;
-        console.log(`[${this.roomCode}] P${player.number} (${socketId}) confirmed hidden.`);
+        this.log.info(`P${player.number} confirmed hidden${zone ? ` in zone "${zone}"` : ''}${note ? ' with a note' : ''}.`, {
+            playerNumber: player.number,
+            socketId,
+            event: 'confirmHidden',
+        });
+        this._logEvent(ROUND_EVENT.CONFIRMED_HIDDEN, { playerNumber: player.number, zone, note: player.hidingNote });
 
         if (this._checkAllRemainingReady()) {
-            console.log(`[${this.roomCode}] All players confirmed hidden. Starting pre-seek countdown.`);
-            this.broadcastUpdateState(); // Broadcast final hiding state before countdown
-            this.startPreSeekCountdown();
+            this.log.info('All players confirmed hidden. Starting pre-seek countdown.');
+            this.startPreSeekCountdown(); // Broadcasts the final hiding state
         } else {
             this.broadcastUpdateState(); // Update ready count
         }
     }
 
     _checkAllRemainingReady() {
-        if (this.isEmpty()) return false; // Cannot be ready if empty
+        if (this.getPlayerCount() === 0) return false; // Cannot be ready without phones
         return Object.values(this.players).every(p => p.isReady);
     }
 
-    startPreSeekCountdown() {
+    startPreSeekCountdown(startValue = PRE_SEEK_COUNTDOWN_S) {
         if (this.preSeekCountdownInterval) return; // Already running
 
-        console.log(`[${this.roomCode}] Starting pre-seek countdown.`);
-        this.preSeekCountdownValue = PRE_SEEK_COUNTDOWN_S;
+        this.log.info('Starting pre-seek countdown.', { event: 'preSeekCountdown' });
+        if (this.hidingTimeout) clearTimeout(this.hidingTimeout); // Everyone is hidden; the limit no longer applies
+        this.hidingTimeout = null;
+        this.preSeekCountdownValue = startValue;
         this.io.to(this.roomCode).emit('preSeekCountdown', this.preSeekCountdownValue); // Emit initial value
 
         this.preSeekCountdownInterval = setInterval(() => {
@@ -443,7 +1832,7 @@ class Room {
             if (!currentRoom || currentRoom !== this) { // Ensure interval belongs to the correct, existing room instance
                 if(this.preSeekCountdownInterval) clearInterval(this.preSeekCountdownInterval);
                 this.preSeekCountdownInterval = null;
-                console.warn(`[${this.roomCode}] Stale preSeekCountdownInterval cleared.`);
+                this.log.warn('Stale preSeekCountdownInterval cleared.');
                 return;
             }
 
@@ -456,23 +1845,92 @@ class Room {
                 this.startSeekingPhase(); // Transition to Seeking phase
             }
         }, 1000);
+        this.broadcastUpdateState(); // Lets clients show countdown controls such as pause
+    }
+
+    /** True while the pre-seek countdown is ticking or paused. */
+    _isPreSeekCountdownActive() {
+        return !!this.preSeekCountdownInterval || (this.isPaused && this.gameState === GAME_STATE.HIDING);
+    }
+
+    // --- Pause / Resume ---
+
+    /** The Hider's phone is usually hidden too, so controllers may also pause, resume or force the start. */
+    _canControlRound(member) {
+        return member instanceof Controller || member?.role === PLAYER_ROLE.HIDER;
+    }
+
+    /** Freezes the seek clock or pre-seek countdown and suspends the sound rotation. */
+    pauseRound(socketId) {
+        const member = this._getMember(socketId);
+        if (!member) throw new Error("Player not found in room.");
+        if (!this._canControlRound(member)) throw new Error("Only the Hider or a controller can pause the game.");
+        if (this.isPaused) return; // Already paused
+        if (this.gameState !== GAME_STATE.SEEKING && !this.preSeekCountdownInterval) throw new Error("There is nothing to pause right now.");
+
+        if (this.preSeekCountdownInterval) clearInterval(this.preSeekCountdownInterval);
+        if (this.seekTimerInterval) clearInterval(this.seekTimerInterval);
+        if (this.soundRotationTimeout) clearTimeout(this.soundRotationTimeout);
+        if (this.decoyTimeout) clearTimeout(this.decoyTimeout);
+        this.preSeekCountdownInterval = null;
+        this.seekTimerInterval = null;
+        this.soundRotationTimeout = null;
+        this.decoyTimeout = null;
+
+        this.isPaused = true;
+        this.pausedAt = Date.now();
+        this.log.info(`${this._describeMember(member)} paused the game.`, { socketId, event: 'pauseRound' });
+        this._logEvent(ROUND_EVENT.PAUSED, { member: this._describeMember(member) });
+        this.broadcastUpdateState();
+    }
+
+    /** Continues a paused round with the time that was left when it was paused. */
+    resumeRound(socketId) {
+        const member = this._getMember(socketId);
+        if (!member) throw new Error("Player not found in room.");
+        if (!this._canControlRound(member)) throw new Error("Only the Hider or a controller can resume the game.");
+        if (!this.isPaused) return; // Not paused
+
+        const pausedMs = Date.now() - this.pausedAt;
+        this.isPaused = false;
+        this.pausedAt = null;
+        this.log.info(`${this._describeMember(member)} resumed the game after ${(pausedMs / 1000).toFixed(1)}s.`, { socketId, event: 'resumeRound' });
+        this._logEvent(ROUND_EVENT.RESUMED, { member: this._describeMember(member), pausedMs });
+
+        if (this.gameState === GAME_STATE.SEEKING) {
+            this.seekStartTime += pausedMs; // Moving the start forward excludes the pause from elapsed time
+            this.startSeekTimer();
+            // The scheduler spaces the remaining plays over the remaining time, so spacing picks up where it left off
+            this.soundRotationTimeout = setTimeout(() => this.scheduleNextSound(), MIN_SOUND_DELAY_MS);
+            this.broadcastUpdateState();
+        } else {
+            this.startPreSeekCountdown(this.preSeekCountdownValue);
+        }
     }
 
     startSeekingPhase() {
         if (this.gameState === GAME_STATE.SEEKING) return; // Prevent multiple starts
 
-        console.log(`[${this.roomCode}] Starting Seeking Phase.`);
+        this.log.info('Starting Seeking Phase.', { event: 'seekingStarted' });
         this.gameState = GAME_STATE.SEEKING;
         this.seekStartTime = Date.now();
+        this.seekStartedAt = this.seekStartTime;
         this.nextPlayerIndexToPlay = 0; // Reset sound rotation index
         this.sharedRemainingSoundPlays = 0;
+        this.pingsRemaining = this.pingsPerRound;
+        this.pingHistory = [];
+        this.hintRequestsRemaining = this.hintRequestsPerRound;
+        this.scheduledHintCount = 0;
+        this.hints = [];
+        this.decoysPlayed = 0;
 
         Object.values(this.players).forEach(p => p.resetForSeeking()); // Reset ready/soundsPlayed
+        this._logEvent(ROUND_EVENT.SEEKING_STARTED, { phones: this._getRoster() });
 
         this.startSeekTimer(); // Start the end-game timer
 
         // Schedule the first sound check
-        console.log(`[${this.roomCode}] Scheduling first sound check.`);
+        this.log.debug('Scheduling first sound check.');
         if (this.soundRotationTimeout) clearTimeout(this.soundRotationTimeout);
         this.soundRotationTimeout = setTimeout(() => {
             this.scheduleNextSound();
@@ -484,23 +1942,25 @@ class Room {
     startSeekTimer() {
         if (this.seekTimerInterval) return; // Already running
 
-        console.log(`[${this.roomCode}] Seek timer started (${this.seekTimeLimit}s).`);
+        this.log.debug(`Seek timer started (${this.seekTimeLimit}s).`);
         this.seekTimerInterval = setInterval(() => {
             // Interval checks itself if room still exists via `activeRooms` lookup
             const currentRoom = activeRooms[this.roomCode];
              if (!currentRoom || currentRoom !== this) {
                  if(this.seekTimerInterval) clearInterval(this.seekTimerInterval);
                  this.seekTimerInterval = null;
-                 console.warn(`[${this.roomCode}] Stale seekTimerInterval cleared.`);
+                 this.log.warn('Stale seekTimerInterval cleared.');
                  return;
              }
 
             if (this.gameState === GAME_STATE.SEEKING) {
                 const elapsedSeconds = (Date.now() - this.seekStartTime) / 1000;
                 if (elapsedSeconds >= this.seekTimeLimit) {
-                    console.log(`[${this.roomCode}] Time limit reached. Hider wins.`);
+                    this.log.info('Time limit reached. Hider wins.');
                     this.endGame(WINNER_TYPE.HIDER);
                     // endGame clears the interval
+                } else {
+                    this._releaseScheduledHints(elapsedSeconds);
                 }
             } else {
                 // If game state changed, clear this interval
@@ -522,7 +1982,7 @@ class Room {
         const timeRemainingMs = Math.max(0, (this.seekTimeLimit * 1000) - timeElapsedMs);
 
         if (timeRemainingMs <= 0) {
-             console.log(`[${this.roomCode}] Time remaining is zero or less in scheduleNextSound. Stopping sound schedule.`);
+             this.log.debug('Time remaining is zero or less in scheduleNextSound. Stopping sound schedule.');
              if (this.soundRotationTimeout) clearTimeout(this.soundRotationTimeout);
              this.soundRotationTimeout = null;
             return; // Time is up, timer will handle game end
@@ -532,39 +1992,36 @@ class Room {
         const eligiblePlayers = sortedPlayers.filter(p => this.canPlayerReceiveScheduledSound(p));
 
         let dynamicDelayMs = CHECK_INTERVAL_WHEN_NO_SOUNDS_MS;
-        let playerToPlay = null;
 
         if (eligiblePlayers.length > 0) {
             const totalPlaysLeft = this.getTotalRemainingSoundPlays(eligiblePlayers);
 
             if (totalPlaysLeft > 0) {
-                dynamicDelayMs = Math.max(MIN_SOUND_DELAY_MS, timeRemainingMs / totalPlaysLeft);
-
-                // Select player using rotation index
-                const nextEligiblePlayerIndex = this.nextPlayerIndexToPlay % eligiblePlayers.length;
-                playerToPlay = eligiblePlayers[nextEligiblePlayerIndex];
-                this.nextPlayerIndexToPlay = (nextEligiblePlayerIndex + 1); // Increment for next time
-
-                // Emit sound to the selected player
-                if (playerToPlay && playerToPlay.uniqueAnimalSoundURL) {
-                    const soundBudgetSource = this.consumeScheduledSound(playerToPlay);
-                    if (!soundBudgetSource) {
-                        console.warn(`[${this.roomCode}] No remaining sound budget available for P${playerToPlay.number}.`);
-                    } else {
-                        this.io.to(playerToPlay.id).emit('playSound', { soundURL: playerToPlay.uniqueAnimalSoundURL });
-                        console.log(
-                            `[${this.roomCode}] Sound play ${playerToPlay.soundsPlayed} triggered for P${playerToPlay.number} using ${soundBudgetSource} budget. Shared pool: ${this.sharedRemainingSoundPlays}. Next check in ${dynamicDelayMs.toFixed(0)}ms.`
-                        );
-                    }
-                } else {
-                     console.warn(`[${this.roomCode}] Eligible player P${playerToPlay?.number} found but has no sound URL. Skipping play.`);
-                     playerToPlay = null; // Ensure no sound is counted if URL missing
+                const rotationIndex = this.nextPlayerIndexToPlay % eligiblePlayers.length;
+                const rotationPlayer = eligiblePlayers[rotationIndex];
+                const plan = getSoundScheduler(this.soundSchedulerId).planNextSound({
+                    eligiblePlayers,
+                    rotationPlayer,
+                    totalPlaysLeft,
+                    timeRemainingMs,
+                    seekTimeLimitMs: this.seekTimeLimit * 1000,
+                    frenzyWindowMs: this.frenzyWindowS * 1000,
+                });
+                dynamicDelayMs = Math.max(MIN_SOUND_DELAY_MS, plan.delayMs);
+
+                // Round robin only advances when the strategy used the phone whose turn it was
+                if (plan.players.includes(rotationPlayer)) {
+                    this.nextPlayerIndexToPlay = rotationIndex + 1;
                 }
+                // Several phones at once (e.g. a frenzy) share a server-time instant so they chirp together
+                const playAt = plan.players.length > 1 ? Date.now() + SYNCHRONIZED_PLAY_LEAD_MS : null;
+                plan.players.forEach(player => this._playScheduledSound(player, dynamicDelayMs, playAt));
+                this._maybeScheduleDecoy(plan.players.length, dynamicDelayMs);
             } else {
-                 console.warn(`[${this.roomCode}] Eligible players found, but totalPlaysLeft is 0. Using default check interval.`);
+                 this.log.warn('Eligible players found, but totalPlaysLeft is 0. Using default check interval.');
             }
         } else {
-            // console.log(`[${this.roomCode}] No eligible players found for sound rotation this cycle. Next check in ${dynamicDelayMs}ms.`); // Verbose
+            this.log.debug(`No eligible players found for sound rotation this cycle. Next check in ${dynamicDelayMs}ms.`);
         }
 
         // Schedule the next check
@@ -574,13 +2031,280 @@ class Room {
             if (activeRooms[this.roomCode] === this) {
                 this.scheduleNextSound();
             } else {
-                 console.warn(`[${this.roomCode}] Room instance changed or deleted before next sound schedule.`);
+                 this.log.warn('Room instance changed or deleted before next sound schedule.');
             }
         }, dynamicDelayMs);
     }
 
 
-    markPlayerFound(socketId) {
+    // --- Decoys ---
+
+    /**
+     * Rolls for a decoy after a cycle of `realPlays` real plays and, on success, plays it
+     * somewhere in the middle of the gap before the next real play so the two don't overlap.
+     */
+    _maybeScheduleDecoy(realPlays, nextDelayMs) {
+        if (this.decoyRatioPercent <= 0 || this.decoyTimeout) return;
+        if (Math.random() >= Math.min(1, (this.decoyRatioPercent / 100) * realPlays)) return;
+
+        const decoyDelayMs = nextDelayMs * (0.3 + Math.random() * 0.4);
+        this.decoyTimeout = setTimeout(() => {
+            this.decoyTimeout = null;
+            if (activeRooms[this.roomCode] !== this || this.gameState !== GAME_STATE.SEEKING || this.isPaused) return;
+            this._playDecoySound();
+        }, decoyDelayMs);
+    }
+
+    /**
+     * Makes a random hidden phone play a sound that isn't its own: another phone's seek sound
+     * or a neutral distractor. Decoys never touch the sound budgets.
+     */
+    _playDecoySound() {
+        const hiddenPhones = Object.values(this.players).filter(p => !p.isFound && p.isConnected);
+        if (hiddenPhones.length === 0) return;
+        const target = hiddenPhones[crypto.randomInt(hiddenPhones.length)];
+
+        const borrowedSounds = Object.values(this.players)
+            .filter(p => p !== target)
+            .map(p => p.getSeekSound())
+            .filter(Boolean);
+        const distractorSound = this._getDistractorSound();
+        const useDistractor = distractorSound && (borrowedSounds.length === 0 || Math.random() < 0.5);
+        const decoySound = useDistractor ? distractorSound : borrowedSounds[crypto.randomInt(borrowedSounds.length || 1)];
+        if (!decoySound) return;
+
+        this.decoysPlayed++;
+        this.io.to(target.id).emit('playSound', { ...decoySound, playback: this.getPlaybackParams(), playAt: null });
+        this._logSoundPlayed(target, decoySound, SOUND_PLAY_SOURCE.DECOY, null);
+        this.log.debug(`Decoy ${this.decoysPlayed} (${useDistractor ? 'distractor' : 'borrowed'}) played on P${target.number}.`, {
+            playerNumber: target.number,
+            socketId: target.id,
+            event: 'playSound',
+        });
+    }
+
+    /** A sound that belongs to no phone in the room: a pack distractor, an unassigned pack sound or a fresh synth. */
+    _getDistractorSound() {
+        if (this.soundMode === SOUND_MODE.SYNTH) {
+            return { synth: getSynthDescriptor(pickDistinctSynthSound(this.assignedSynthSounds)) };
+        }
+        const pack = getSoundPack(this.soundPackId);
+        const candidates = pack.decoySounds.length > 0
+            ? pack.decoySounds
+            : pack.seekSounds.filter(sound => !this.assignedAnimalSounds.has(sound.url));
+        if (candidates.length === 0) return null;
+        return { soundURL: candidates[crypto.randomInt(candidates.length)].url };
+    }
+
+    /**
+     * Gain, playback rate and low-pass cutoff for a seek sound played now, following the room's curve.
+     * @returns {{ gain: number, playbackRate: number, lowPassHz: number|null }} lowPassHz is null when unfiltered.
+     */
+    getPlaybackParams() {
+        const elapsedMs = this.seekStartTime ? Date.now() - this.seekStartTime : 0;
+        const progress = Math.min(1, Math.max(0, elapsedMs / (this.seekTimeLimit * 1000)));
+        const volumePercent = this.startVolumePercent + (this.endVolumePercent - this.startVolumePercent) * progress;
+
+        let lowPassHz = null;
+        if (this.muffleMode === MUFFLE_MODE.CONSTANT) {
+            lowPassHz = MUFFLED_LOW_PASS_HZ;
+        } else if (this.muffleMode === MUFFLE_MODE.FADE) {
+            // Exponential sweep so the opening sounds even to the ear
+            lowPassHz = Math.round(MUFFLED_LOW_PASS_HZ * Math.pow(OPEN_LOW_PASS_HZ / MUFFLED_LOW_PASS_HZ, progress));
+        }
+
+        return {
+            gain: Math.round(volumePercent) / 100,
+            playbackRate: this.playbackRatePercent / 100,
+            lowPassHz,
+        };
+    }
+
+    /**
+     * Charges one scheduled play to a phone's budget and tells it to play its seek sound.
+     * @param {number|null} playAt - Server time (ms) the sound should start at, or null to play on arrival.
+     */
+    _playScheduledSound(player, nextDelayMs, playAt = null) {
+        const seekSound = player.getSeekSound();
+        if (!seekSound) {
+            this.log.warn(`Eligible player P${player.number} found but has no sound assigned. Skipping play.`);
+            return;
+        }
+
+        const soundBudgetSource = this.consumeScheduledSound(player);
+        if (!soundBudgetSource) {
+            this.log.warn(`No remaining sound budget available for P${player.number}.`);
+            return;
+        }
+
+        this.io.to(player.id).emit('playSound', { ...seekSound, playback: this.getPlaybackParams(), playAt });
+        metrics.soundsEmitted.inc({ budget: soundBudgetSource });
+        this._logSoundPlayed(player, seekSound, SOUND_PLAY_SOURCE.SCHEDULED, soundBudgetSource);
+        this.log.debug(
+            `Sound play ${player.soundsPlayed} triggered for P${player.number} using ${soundBudgetSource} budget. Shared pool: ${this.sharedRemainingSoundPlays}. Next check in ${nextDelayMs.toFixed(0)}ms.`,
+            { playerNumber: player.number, socketId: player.id, event: 'playSound' }
+        );
+    }
+
+    /**
+     * Makes an unfound phone play its sound right away at a seeker's request.
+     * Pings draw from the same personal/shared budget as scheduled sounds and may cost seek time.
+     */
+    pingPlayer(requesterSocketId, targetPlayerId) {
+        if (this.gameState !== GAME_STATE.SEEKING) throw new Error("Pings are only available while seeking.");
+        if (this.isPaused) throw new Error("The game is paused.");
+
+        const requester = this._getMember(requesterSocketId);
+        if (!requester) throw new Error("Player not found in room.");
+        // Hidden phones can't ping; seekers use controllers or phones that were already found
+        if (requester instanceof Player && !requester.isFound) throw new Error("Only seekers can ping phones.");
+        if (this.pingsRemaining <= 0) throw new Error("No pings left this round.");
+
+        const target = this.getPlayer(targetPlayerId);
+        if (!target || target.isFound) throw new Error("That phone can't be pinged.");
+        if (!target.isConnected) throw new Error(`Phone ${target.number} is offline.`);
+        if (!target.getSeekSound()) throw new Error(`Phone ${target.number} has no sound assigned.`);
+
+        const soundBudgetSource = this.consumeScheduledSound(target);
+        if (!soundBudgetSource) throw new Error(`Phone ${target.number} has no sounds left.`);
+
+        this.pingsRemaining--;
+        if (this.pingTimeCostS > 0) {
+            this.seekStartTime -= this.pingTimeCostS * 1000; // Moving the start back shortens the remaining time
+        }
+        this.pingHistory.push({
+            playerId: target.id,
+            playerNumber: target.number,
+            requestedBy: this._describeMember(requester),
+            elapsedMs: Date.now() - this.seekStartTime,
+            budgetSource: soundBudgetSource,
+        });
+
+        this.io.to(target.id).emit('playSound', { ...target.getSeekSound(), playback: this.getPlaybackParams() });
+        this._logSoundPlayed(target, target.getSeekSound(), SOUND_PLAY_SOURCE.PING, soundBudgetSource, { requestedBy: this._describeMember(requester) });
+        this.log.info(
+            `${this._describeMember(requester)} pinged P${target.number} using ${soundBudgetSource} budget. Pings left: ${this.pingsRemaining}.`,
+            { playerNumber: target.number, socketId: requesterSocketId, event: 'pingPhone' }
+        );
+        this.broadcastUpdateState();
+    }
+
+    // --- Found Codes ---
+
+    /** Code mode: returns the hidden phone's one-time found code, creating it on first request. */
+    issueFoundCode(socketId) {
+        const player = this.getPlayer(socketId);
+        if (!player) throw new Error("Player not found in room.");
+        if (this.foundConfirmation !== FOUND_CONFIRMATION.CODE) throw new Error("This room doesn't use found codes.");
+        if (this.gameState !== GAME_STATE.SEEKING) throw new Error("Found codes are only used while seeking.");
+        if (player.isFound) throw new Error("This phone is already found.");
+
+        if (!player.foundCode) {
+            const codesInUse = new Set(Object.values(this.players).map(p => p.foundCode));
+            let code;
+            do {
+                code = crypto.randomInt(0, 10 ** FOUND_CODE_LENGTH).toString().padStart(FOUND_CODE_LENGTH, '0');
+            } while (codesInUse.has(code));
+            player.foundCode = code;
+            this.log.info(`Issued found code to P${player.number}.`, { playerNumber: player.number, socketId, event: 'requestFoundCode' });
+            scheduleRoomSnapshot();
+        }
+        return player.foundCode;
+    }
+
+    /** Code mode: a seeker enters the code shown on a found phone, which marks it found and credits them. */
+    verifyFoundCode(seekerSocketId, code) {
+        if (this.gameState !== GAME_STATE.SEEKING) throw new Error("Found codes are only used while seeking.");
+        if (this.isPaused) throw new Error("The game is paused.");
+
+        const seeker = this._getMember(seekerSocketId);
+        if (!seeker) throw new Error("Player not found in room.");
+        // Same seekers as pings: controllers and phones that were already found
+        if (seeker instanceof Player && !seeker.isFound) throw new Error("Only seekers can confirm found phones.");
+        if (!consumeRateLimit(`foundCode:${this.roomCode}`, MAX_FOUND_CODE_ATTEMPTS_PER_WINDOW)) {
+            throw new Error("Too many code attempts in this room. Wait a minute and try again.");
+        }
+
+        const enteredCode = String(code ?? '').trim();
+        const player = Object.values(this.players).find(p => !p.isFound && p.foundCode && p.foundCode === enteredCode);
+        if (!player) throw new Error("That code doesn't match a hidden phone.");
+
+        player.foundCode = null; // One-time
+        this.markPlayerFound(player.id, seeker);
+    }
+
+    // --- Hints ---
+
+    /** Releases one hint per hint interval that has passed; slots with no hint left are skipped. */
+    _releaseScheduledHints(elapsedSeconds) {
+        if (this.hintIntervalS <= 0) return;
+
+        const dueCount = Math.floor(elapsedSeconds / this.hintIntervalS);
+        let released = false;
+        while (this.scheduledHintCount < dueCount) {
+            this.scheduledHintCount++;
+            // Spread hints out: the unfound phone that has given away the least goes first
+            const target = Object.values(this.players)
+                .filter(p => !p.isFound && p.hintsRevealed < p.getHintKinds().length)
+                .sort((a, b) => a.hintsRevealed - b.hintsRevealed || a.number - b.number)[0];
+            if (target) {
+                this._releaseHint(target, null);
+                released = true;
+            }
+        }
+        if (released) this.broadcastUpdateState();
+    }
+
+    /** Gives seekers the target's next hint: its zone first, then the masked note. */
+    _releaseHint(target, requester) {
+        const kind = target.getHintKinds()[target.hintsRevealed];
+        const text = kind === HINT_KIND.ZONE
+            ? target.hidingZone
+            : target.hidingNote.replace(/[\p{L}\p{N}]+/gu, word => word[0] + '_'.repeat(word.length - 1));
+
+        target.hintsRevealed++;
+        this.hints.push({
+            playerId: target.id,
+            playerNumber: target.number,
+            kind,
+            text,
+            requestedBy: requester ? this._describeMember(requester) : null,
+            elapsedMs: Date.now() - this.seekStartTime,
+        });
+        this.log.info(`Released ${kind} hint for P${target.number}${requester ? ` at ${this._describeMember(requester)}'s request` : ''}.`, {
+            playerNumber: target.number,
+            event: 'hintReleased',
+        });
+        this._logEvent(ROUND_EVENT.HINT_RELEASED, { playerNumber: target.number, kind, text, requestedBy: requester ? this._describeMember(requester) : null });
+    }
+
+    /** Releases a phone's next hint at a seeker's request, optionally costing seek time. */
+    requestHint(requesterSocketId, targetPlayerId) {
+        if (this.gameState !== GAME_STATE.SEEKING) throw new Error("Hints are only available while seeking.");
+        if (this.isPaused) throw new Error("The game is paused.");
+
+        const requester = this._getMember(requesterSocketId);
+        if (!requester) throw new Error("Player not found in room.");
+        if (requester instanceof Player && !requester.isFound) throw new Error("Only seekers can ask for hints.");
+        if (this.hintRequestsRemaining <= 0) throw new Error("No hint requests left this round.");
+
+        const target = this.getPlayer(targetPlayerId);
+        if (!target || target.isFound) throw new Error("That phone can't give a hint.");
+        if (target.hintsRevealed >= target.getHintKinds().length) throw new Error(`Phone ${target.number} has no hints left.`);
+
+        this.hintRequestsRemaining--;
+        if (this.hintTimeCostS > 0) {
+            this.seekStartTime -= this.hintTimeCostS * 1000; // Moving the start back shortens the remaining time
+        }
+        this._releaseHint(target, requester);
+        this.broadcastUpdateState();
+    }
+
+    /**
+     * Marks a phone found. `finder` is the seeker whose code entry verified it; in code mode
+     * Seeking only accepts verified finds. The Game Over reveal stays on the honor system.
+     */
+    markPlayerFound(socketId, finder = null) {
         const player = this.getPlayer(socketId);
         if (!player) throw new Error("Player not found.");
         if (player.isFound) return; // Already found
@@ -589,10 +2313,25 @@ class Room {
          if (this.gameState !== GAME_STATE.SEEKING && !(this.gameState === GAME_STATE.GAME_OVER && this.winner === WINNER_TYPE.HIDER)) {
              throw new Error(`Cannot mark found in current game state: ${this.gameState}`);
          }
+        if (this.gameState === GAME_STATE.SEEKING && this.foundConfirmation === FOUND_CONFIRMATION.CODE && !finder) {
+            throw new Error("A seeker has to enter this phone's found code.");
+        }
 
-        console.log(`[${this.roomCode}] P${player.number} (${socketId}) marked self as found.`);
+        if (finder) {
+            player.foundBy = this._describeMember(finder);
+            this.log.info(`${player.foundBy} verified P${player.number} as found.`, { playerNumber: player.number, socketId, event: 'verifyFoundCode' });
+        } else {
+            this.log.info(`P${player.number} marked self as found.`, { playerNumber: player.number, socketId, event: 'markSelfFound' });
+        }
         player.isFound = true;
 
+        if (this.gameState === GAME_STATE.SEEKING) {
+            player.foundAtMs = (this.isPaused ? this.pausedAt : Date.now()) - this.seekStartTime;
+            player.foundAt = Date.now();
+            metrics.timeToFind.observe(player.foundAtMs / 1000);
+        }
+        this._logEvent(ROUND_EVENT.FOUND, { playerNumber: player.number, foundBy: player.foundBy, duringReveal: this.gameState === GAME_STATE.GAME_OVER });
+
         if (this.gameState === GAME_STATE.SEEKING) {
             if (Object.values(this.players).some(p => !p.isFound)) {
                 this.recycleUnusedSounds(player);
@@ -601,9 +2340,9 @@ class Room {
                 this.broadcastUpdateState(); // Game continues, update state
             }
         } else if (this.gameState === GAME_STATE.GAME_OVER) { // Must be Hider Win Reveal
-             console.log(`[${this.roomCode}] P${player.number} found during Hider reveal.`);
+             this.log.info(`P${player.number} found during Hider reveal.`, { playerNumber: player.number, socketId, event: 'markSelfFound' });
             if (socketId === this.activeUnfoundPlayerId) {
-                console.log(`[${this.roomCode}] Active reveal player ${player.number} found. Activating next...`);
+                this.log.info(`Active reveal player ${player.number} found. Activating next...`);
                 this.activateNextUnfoundPlayer(); // Move to next in queue
             } else {
                  // Remove from queue if found out of order
@@ -619,7 +2358,7 @@ class Room {
 
         const allFound = Object.values(this.players).every(p => p.isFound);
         if (allFound) {
-            console.log(`[${this.roomCode}] Seeker win condition met.`);
+            this.log.info('Seeker win condition met.');
             this.endGame(WINNER_TYPE.SEEKERS);
             return true;
         }
@@ -629,11 +2368,17 @@ class Room {
     endGame(winner) {
         if (this.gameState === GAME_STATE.GAME_OVER) return; // Already ended
 
-        console.log(`[${this.roomCode}] Game Over. Winner: ${winner}`);
+        this.log.info(`Game Over. Winner: ${winner}`, { event: 'gameEnded' });
+        metrics.roundsEnded.inc({ winner: winner || 'none' });
+        if (this.gameState === GAME_STATE.SEEKING) {
+            metrics.roundDuration.observe(((this.isPaused ? this.pausedAt : Date.now()) - this.seekStartTime) / 1000);
+        }
         this.clearGameIntervals(); // Stop all active timers/loops
+        this._logEvent(ROUND_EVENT.GAME_ENDED, { winner, unfoundNumbers: Object.values(this.players).filter(p => !p.isFound).map(p => p.number).sort((a, b) => a - b) });
 
         this.gameState = GAME_STATE.GAME_OVER;
         this.winner = winner;
+        this._recordRoundResult();
 
         if (winner === WINNER_TYPE.HIDER) {
             this.startGameOverReveal();
@@ -653,7 +2398,7 @@ class Room {
             .sort((a, b) => a.number - b.number)
             .map(p => p.id);
 
-        console.log(`[${this.roomCode}] Starting Hider Win reveal. Queue:`, this.unfoundPlayerQueue);
+        this.log.info('Starting Hider Win reveal.', { event: 'revealStarted', queue: this.unfoundPlayerQueue });
         this.activateNextUnfoundPlayer();
     }
 
@@ -663,7 +2408,7 @@ class Room {
         this.activeUnfoundPlayerId = null; // Reset active player
 
         if (this.unfoundPlayerQueue.length === 0) {
-            console.log(`[${this.roomCode}] Reveal queue empty. Reveal finished.`);
+            this.log.info('Reveal queue empty. Reveal finished.');
             this.broadcastUpdateState(); // Update state one last time
             return;
         }
@@ -672,11 +2417,18 @@ class Room {
         this.activeUnfoundPlayerId = nextPlayerId;
 
         const player = this.players[nextPlayerId];
-        if (player && player.uniqueUnfoundSoundURL) {
-            this.io.to(nextPlayerId).emit('becomeActiveUnfound', { soundURL: player.uniqueUnfoundSoundURL });
-            console.log(`[${this.roomCode}] Activating P${player.number} (${nextPlayerId}) for reveal. Sound: ${player.uniqueUnfoundSoundURL}.`);
+        const revealSound = player?.getRevealSound();
+        if (revealSound) {
+            // Start on a server-time instant so the loop lines up with the state broadcast that highlights this phone
+            this.io.to(nextPlayerId).emit('becomeActiveUnfound', { ...revealSound, playAt: Date.now() + SYNCHRONIZED_PLAY_LEAD_MS });
+            this._logEvent(ROUND_EVENT.REVEAL_ACTIVATED, { playerNumber: player.number });
+            this.log.info(`Activating P${player.number} for reveal. Sound: ${revealSound.soundURL || revealSound.synth.key}.`, {
+                playerNumber: player.number,
+                socketId: nextPlayerId,
+                event: 'revealActivated',
+            });
         } else {
-            console.warn(`[${this.roomCode}] Player ${nextPlayerId} or their unfound sound not found during reveal activation. Skipping.`);
+            this.log.warn(`Player ${nextPlayerId} or their unfound sound not found during reveal activation. Skipping.`);
             this.activateNextUnfoundPlayer(); // Immediately try the next player
             return; // Avoid broadcasting state for the skipped player
         }
@@ -687,86 +2439,577 @@ class Room {
 
     requestPlayAgain(socketId) {
          if (this.gameState !== GAME_STATE.GAME_OVER) throw new Error("Game is not over yet.");
-         const player = this.getPlayer(socketId);
-         if (!player) throw new Error("Player not found.");
+         const member = this._getMember(socketId); // Controllers may also start the next round
+         if (!member) throw new Error("Player not found.");
+
+         this.log.info(`${this._describeMember(member)} requested Play Again.`, { socketId, event: 'requestPlayAgain' });
+         this.resetForNewGame();
+    }
+
+    resetForNewGame() {
+        this.log.info('Resetting room for new game.');
+        this.gameState = GAME_STATE.WAITING;
+        this.winner = null;
+        this.clearGameIntervals();
+        this.seekStartTime = null;
+        this.seekStartedAt = null;
+        this.roundLog = []; // The finished round keeps its own copy in roundResults
+        this.activeUnfoundPlayerId = null;
+        this.unfoundPlayerQueue = [];
+        this.sharedRemainingSoundPlays = 0;
+        this.pingsRemaining = 0;
+        this.pingHistory = [];
+        this.hintRequestsRemaining = 0;
+        this.scheduledHintCount = 0;
+        this.hints = [];
+        this.decoysPlayed = 0;
+
+        // Reset player states and re-assign sounds
+        Object.values(this.players).forEach(p => p.resetForNewGame());
+        this._reassignAllSounds();
+
+        // Hider role remains the same
+
+        this.broadcastUpdateState();
+    }
+
+
+    // --- Utility & State Management ---
+
+    clearGameIntervals() {
+        if (this.hidingTimeout) clearTimeout(this.hidingTimeout);
+        if (this.preSeekCountdownInterval) clearInterval(this.preSeekCountdownInterval);
+        if (this.seekTimerInterval) clearInterval(this.seekTimerInterval);
+        if (this.soundRotationTimeout) clearTimeout(this.soundRotationTimeout);
+        if (this.decoyTimeout) clearTimeout(this.decoyTimeout);
+
+        this.hidingTimeout = null;
+        this.preSeekCountdownInterval = null;
+        this.seekTimerInterval = null;
+        this.soundRotationTimeout = null;
+        this.decoyTimeout = null;
+        this.nextPlayerIndexToPlay = 0; // Reset sound index as well
+        this.isPaused = false;
+        this.pausedAt = null;
+
+        this.log.debug('Cleared game intervals and sound schedule state.');
+    }
+
+    // --- Round Results ---
+
+    /** Saves the finished round's per-phone results before "Play Again" resets the players. */
+    _recordRoundResult() {
+        if (!this.seekStartTime) return; // Ended before Seeking started; nothing to score
+
+        const hider = Object.values(this.players).find(p => p.role === PLAYER_ROLE.HIDER);
+        this.roundResults.push({
+            round: (this.roundResults[this.roundResults.length - 1]?.round || 0) + 1,
+            seekStartedAt: this.seekStartedAt,
+            endedAt: Date.now(),
+            winner: this.winner,
+            hiderNumber: hider ? hider.number : null,
+            seekTimeLimit: this.seekTimeLimit,
+            settings: this._getRoundSettings(),
+            decoysPlayed: this.decoysPlayed,
+            phones: Object.values(this.players)
+                .sort((a, b) => a.number - b.number)
+                .map(p => ({
+                    number: p.number,
+                    role: p.role,
+                    foundAtMs: p.foundAtMs, // null = survived the whole round
+                    foundAt: p.foundAt,
+                    foundBy: p.foundBy,
+                    soundsPlayed: p.soundsPlayed,
+                    hidingZone: p.hidingZone,
+                })),
+            events: this.roundLog, // Shared with the live log so Game Over reveal events are kept too
+        });
+        if (this.roundResults.length > MAX_ROUND_RESULTS) this.roundResults.shift();
+    }
+
+    /** Settings that shape a round, saved with its log and result. */
+    _getRoundSettings() {
+        return {
+            seekTimeLimit: this.seekTimeLimit,
+            hidingTimeLimitS: this.hidingTimeLimitS,
+            soundPlaysPerPlayer: this.soundPlaysPerPlayer,
+            soundMode: this.soundMode,
+            soundPackId: this.soundPackId,
+            soundSchedulerId: this.soundSchedulerId,
+            pingsPerRound: this.pingsPerRound,
+            hintIntervalS: this.hintIntervalS,
+            hintRequestsPerRound: this.hintRequestsPerRound,
+            decoyRatioPercent: this.decoyRatioPercent,
+            foundConfirmation: this.foundConfirmation,
+        };
+    }
+
+    // --- Round Log ---
 
-         console.log(`[${this.roomCode}] P${player.number} (${socketId}) requested Play Again.`);
-         this.resetForNewGame();
+    _getRoster() {
+        return Object.values(this.players)
+            .sort((a, b) => a.number - b.number)
+            .map(p => {
+                const seekSound = p.getSeekSound();
+                return { number: p.number, role: p.role, sound: seekSound?.soundURL || seekSound?.synth?.key || null };
+            });
     }
 
-    resetForNewGame() {
-        console.log(`[${this.roomCode}] Resetting room for new game.`);
-        this.gameState = GAME_STATE.WAITING;
-        this.winner = null;
-        this.clearGameIntervals();
-        this.seekStartTime = null;
-        this.activeUnfoundPlayerId = null;
-        this.unfoundPlayerQueue = [];
-        this.sharedRemainingSoundPlays = 0;
-        this.assignedAnimalSounds.clear();
-        this.assignedUnfoundSounds.clear();
+    /**
+     * Appends an event to the round log. `elapsedMs` is the seek clock (pauses excluded, time
+     * costs included) while Seeking; `at` is wall-clock time, which replays use for spacing.
+     */
+    _logEvent(type, data = {}) {
+        if (this.roundLog.length >= MAX_ROUND_LOG_EVENTS) return;
+        const elapsedMs = this.gameState === GAME_STATE.SEEKING && this.seekStartTime
+            ? (this.isPaused ? this.pausedAt : Date.now()) - this.seekStartTime
+            : null;
+        this.roundLog.push({ at: Date.now(), elapsedMs, type, ...data });
+    }
 
-        // Reset player states and re-assign sounds
-        Object.values(this.players).forEach(p => {
-            p.resetForNewGame();
-            this._assignUniqueSounds(p); // Reassign sounds
+    _logSoundPlayed(player, sound, source, budgetSource, extra = {}) {
+        this._logEvent(ROUND_EVENT.SOUND_PLAYED, {
+            playerNumber: player.number,
+            source,
+            budgetSource, // 'personal', 'shared' or null for decoys
+            sound: sound.soundURL || sound.synth?.key || null,
+            ...extra,
         });
+    }
 
-        // Hider role remains the same
+    /**
+     * Cumulative standings over the kept rounds. Phones are identified by number, which stays
+     * the same for a player across rounds.
+     */
+    getStandings() {
+        const hiders = {};
+        const finds = [];
+        const hidingSpots = [];
+
+        this.roundResults.forEach(result => {
+            if (result.hiderNumber !== null) {
+                const hider = hiders[result.hiderNumber] || (hiders[result.hiderNumber] = { number: result.hiderNumber, rounds: 0, wins: 0 });
+                hider.rounds++;
+                if (result.winner === WINNER_TYPE.HIDER) hider.wins++;
+            }
+            result.phones.forEach(phone => {
+                const survivedMs = phone.foundAtMs ?? result.seekTimeLimit * 1000;
+                hidingSpots.push({ round: result.round, number: phone.number, survivedMs, wasFound: phone.foundAtMs !== null, hidingZone: phone.hidingZone });
+                if (phone.foundAtMs !== null) {
+                    finds.push({ round: result.round, number: phone.number, foundAtMs: phone.foundAtMs, foundBy: phone.foundBy });
+                }
+            });
+        });
 
-        this.broadcastUpdateState();
+        return {
+            roundsPlayed: this.roundResults.length,
+            hiderWins: Object.values(hiders).sort((a, b) => b.wins - a.wins || a.number - b.number),
+            fastestFinds: finds.sort((a, b) => a.foundAtMs - b.foundAtMs).slice(0, STANDINGS_TOP_COUNT),
+            bestHidingSpots: hidingSpots.sort((a, b) => b.survivedMs - a.survivedMs).slice(0, STANDINGS_TOP_COUNT),
+        };
     }
 
+    /** The export key is only handed to the current Hider, never broadcast with the room state. */
+    getExportKey(socketId) {
+        const player = this.players[socketId];
+        if (!player || player.role !== PLAYER_ROLE.HIDER) throw new Error("Only the Hider can get the results key.");
+        return this.exportKey;
+    }
 
-    // --- Utility & State Management ---
+    isValidExportKey(key) {
+        if (typeof key !== 'string' || key.length !== this.exportKey.length) return false;
+        return crypto.timingSafeEqual(Buffer.from(key), Buffer.from(this.exportKey));
+    }
 
-    clearGameIntervals() {
-        if (this.preSeekCountdownInterval) clearInterval(this.preSeekCountdownInterval);
-        if (this.seekTimerInterval) clearInterval(this.seekTimerInterval);
-        if (this.soundRotationTimeout) clearTimeout(this.soundRotationTimeout);
+    // --- Admin ---
 
-        this.preSeekCountdownInterval = null;
-        this.seekTimerInterval = null;
-        this.soundRotationTimeout = null;
-        this.nextPlayerIndexToPlay = 0; // Reset sound index as well
+    /** Ends Hiding or Seeking without a winner. A Seeking round is still recorded. */
+    forceEndRound() {
+        if (this.gameState !== GAME_STATE.HIDING && this.gameState !== GAME_STATE.SEEKING) {
+            throw new Error("No round is in progress.");
+        }
+        this.log.info('Round force-ended by an operator.', { event: 'adminEndRound' });
+        this.endGame(null); // Clients show a neutral "Game Over"
+    }
+
+    getAdminSummary() {
+        const players = Object.values(this.players);
+        return {
+            roomCode: this.roomCode,
+            gameState: this.gameState,
+            playerCount: players.length,
+            connectedPlayerCount: players.filter(p => p.isConnected).length,
+            controllerCount: Object.keys(this.controllers).length,
+            isPaused: this.isPaused,
+            isLocked: this.isLocked,
+            hasJoinPin: !!this.joinPin,
+            roundsPlayed: this.roundResults.length,
+            createdAt: this.createdAt,
+            uptimeS: Math.floor((Date.now() - this.createdAt) / 1000),
+        };
+    }
 
-        console.log(`[${this.roomCode}] Cleared game intervals and sound schedule state.`);
+    /** Everything clients see plus the live round log; session tokens and found codes stay out. */
+    getAdminState() {
+        return {
+            ...this.getClientState(),
+            ...this.getAdminSummary(),
+            roundLog: this.roundLog,
+        };
     }
 
     getClientState() {
         const playersForClient = {};
+        const revealHidingSpots = this.gameState === GAME_STATE.GAME_OVER;
+        const lastRoundResult = this.roundResults[this.roundResults.length - 1];
+        const { events, ...lastRoundSummary } = lastRoundResult || {}; // The log is sent separately as roundLog
         Object.values(this.players).forEach(p => {
-            playersForClient[p.id] = p.getClientState();
+            playersForClient[p.id] = p.getClientState(revealHidingSpots);
+        });
+        const controllersForClient = {};
+        Object.values(this.controllers).forEach(c => {
+            controllersForClient[c.id] = c.getClientState();
         });
 
         return {
             roomCode: this.roomCode,
             players: playersForClient,
+            controllers: controllersForClient,
             gameState: this.gameState,
             seekTimeLimit: this.seekTimeLimit,
+            hidingTimeLimitS: this.hidingTimeLimitS,
+            hidingTimeoutAction: this.hidingTimeoutAction,
+            hidingStartTime: this.hidingStartTime,
             soundPlaysPerPlayer: this.soundPlaysPerPlayer, // Include this setting
+            soundPackId: this.soundPackId,
+            soundPack: getSoundPack(this.soundPackId), // Full pack so clients can preload its assets
+            soundPacks: getSoundPackSummaries(),
+            soundMode: this.soundMode,
+            soundSchedulerId: this.soundSchedulerId,
+            soundSchedulers: getSoundSchedulerSummaries(),
+            frenzyWindowS: this.frenzyWindowS,
+            startVolumePercent: this.startVolumePercent,
+            endVolumePercent: this.endVolumePercent,
+            playbackRatePercent: this.playbackRatePercent,
+            muffleMode: this.muffleMode,
+            decoyRatioPercent: this.decoyRatioPercent,
+            decoysPlayed: this.gameState === GAME_STATE.GAME_OVER ? this.decoysPlayed : null, // Secret until the round ends
+            pingsPerRound: this.pingsPerRound,
+            pingTimeCostS: this.pingTimeCostS,
+            pingsRemaining: this.pingsRemaining,
+            pingHistory: this.pingHistory,
+            foundConfirmation: this.foundConfirmation,
+            pickupDetection: this.pickupDetection,
+            pickupAutoFoundDelayS: this.pickupAutoFoundDelayS,
+            hidingZones: this.hidingZones,
+            hintIntervalS: this.hintIntervalS,
+            hintRequestsPerRound: this.hintRequestsPerRound,
+            hintTimeCostS: this.hintTimeCostS,
+            hintRequestsRemaining: this.hintRequestsRemaining,
+            hints: this.hints,
+            hasJoinPin: !!this.joinPin, // The PIN itself only goes to the Hider; see broadcastUpdateState
+            isLocked: this.isLocked,
             seekStartTime: this.seekStartTime,
+            isPaused: this.isPaused,
+            pausedAt: this.pausedAt,
+            isPreSeekCountdownActive: this._isPreSeekCountdownActive(),
             winner: this.winner,
             activeUnfoundPlayerId: this.activeUnfoundPlayerId,
+            lastRoundResult: lastRoundResult ? lastRoundSummary : null,
+            standings: this.getStandings(),
+            roundLog: this.gameState === GAME_STATE.GAME_OVER ? this.roundLog : null, // Reveals hiding details, so only after the round
         };
     }
 
     broadcastUpdateState() {
         const state = this.getClientState();
         if (state) {
-            this.io.to(this.roomCode).emit('updateState', state);
+            const hider = Object.values(this.players).find(p => p.role === PLAYER_ROLE.HIDER);
+            if (hider && this.joinPin) {
+                this.io.to(this.roomCode).except(hider.id).emit('updateState', state);
+                this.io.to(hider.id).emit('updateState', { ...state, joinPin: this.joinPin });
+            } else {
+                this.io.to(this.roomCode).emit('updateState', state);
+            }
         } else {
-            console.warn(`[${this.roomCode}] Attempted to broadcast state but failed to get client state.`);
+            this.log.warn('Attempted to broadcast state but failed to get client state.');
+        }
+
+        // Persist real transitions only; pings, hints and sound budgets are saved with the next one
+        const snapshotKey = this._getSnapshotKey();
+        if (snapshotKey !== this.lastSnapshotKey) {
+            this.lastSnapshotKey = snapshotKey;
+            scheduleRoomSnapshot();
+        }
+    }
+
+    /** Phase, membership, connection, readiness and finds: what a restart most needs to get right. */
+    _getSnapshotKey() {
+        const members = [...Object.values(this.players), ...Object.values(this.controllers)]
+            .map(m => `${m.id}:${m.role || 'controller'}:${m.isConnected}:${!!m.isReady}:${!!m.isFound}`);
+        return [this.gameState, this.isPaused, this.winner, this.roundResults.length, ...members].join('|');
+    }
+
+    // --- Snapshots ---
+
+    /** Returns a JSON-safe snapshot of the room, including in-flight timer progress. */
+    toSnapshot() {
+        return {
+            roomCode: this.roomCode,
+            gameState: this.gameState,
+            seekTimeLimit: this.seekTimeLimit,
+            hidingTimeLimitS: this.hidingTimeLimitS,
+            hidingTimeoutAction: this.hidingTimeoutAction,
+            hidingStartTime: this.hidingStartTime,
+            soundPlaysPerPlayer: this.soundPlaysPerPlayer,
+            soundPackId: this.soundPackId,
+            soundMode: this.soundMode,
+            soundSchedulerId: this.soundSchedulerId,
+            frenzyWindowS: this.frenzyWindowS,
+            startVolumePercent: this.startVolumePercent,
+            endVolumePercent: this.endVolumePercent,
+            playbackRatePercent: this.playbackRatePercent,
+            muffleMode: this.muffleMode,
+            decoyRatioPercent: this.decoyRatioPercent,
+            decoysPlayed: this.decoysPlayed,
+            pingsPerRound: this.pingsPerRound,
+            pingTimeCostS: this.pingTimeCostS,
+            pingsRemaining: this.pingsRemaining,
+            pingHistory: this.pingHistory,
+            foundConfirmation: this.foundConfirmation,
+            pickupDetection: this.pickupDetection,
+            pickupAutoFoundDelayS: this.pickupAutoFoundDelayS,
+            hidingZones: this.hidingZones,
+            hintIntervalS: this.hintIntervalS,
+            hintRequestsPerRound: this.hintRequestsPerRound,
+            hintTimeCostS: this.hintTimeCostS,
+            hintRequestsRemaining: this.hintRequestsRemaining,
+            scheduledHintCount: this.scheduledHintCount,
+            hints: this.hints,
+            seekStartTime: this.seekStartTime,
+            seekStartedAt: this.seekStartedAt,
+            winner: this.winner,
+            // Past rounds keep their results but not their event logs, which would dominate the file
+            roundResults: this.roundResults.map(({ events, ...result }) => result),
+            exportKey: this.exportKey,
+            roundLog: this.roundLog,
+            createdAt: this.createdAt,
+            joinPin: this.joinPin,
+            isLocked: this.isLocked,
+            bannedDeviceIds: [...this.bannedDeviceIds],
+            preSeekCountdownValue: this.preSeekCountdownValue,
+            isPreSeekCountdownRunning: !!this.preSeekCountdownInterval,
+            isPaused: this.isPaused,
+            pausedAt: this.pausedAt,
+            nextPlayerIndexToPlay: this.nextPlayerIndexToPlay,
+            sharedRemainingSoundPlays: this.sharedRemainingSoundPlays,
+            unfoundPlayerQueue: [...this.unfoundPlayerQueue],
+            activeUnfoundPlayerId: this.activeUnfoundPlayerId,
+            players: Object.values(this.players).map(p => p.toSnapshot()),
+            controllers: Object.values(this.controllers).map(c => c.toSnapshot()),
+            nextPlayerNumber: this.nextPlayerNumber,
+            nextControllerNumber: this.nextControllerNumber,
+        };
+    }
+
+    /**
+     * Rebuilds a room from `toSnapshot()` output. Timers are not armed here;
+     * call `resumeAfterRestore()` once the room is registered in activeRooms.
+     * @param {number} downtimeMs - Time the server was down, excluded from the seek clock.
+     */
+    static fromSnapshot(data, ioInstance, downtimeMs) {
+        const room = new Room(data.roomCode, ioInstance);
+        room.gameState = Object.values(GAME_STATE).includes(data.gameState) ? data.gameState : GAME_STATE.WAITING;
+        room.seekTimeLimit = data.seekTimeLimit ?? DEFAULT_SEEK_TIME_LIMIT_S;
+        room.soundPlaysPerPlayer = data.soundPlaysPerPlayer ?? DEFAULT_SOUND_PLAYS_PER_PLAYER;
+        room.hidingTimeLimitS = data.hidingTimeLimitS ?? DEFAULT_HIDING_TIME_LIMIT_S;
+        room.hidingTimeoutAction = Object.values(HIDING_TIMEOUT_ACTION).includes(data.hidingTimeoutAction) ? data.hidingTimeoutAction : DEFAULT_HIDING_TIMEOUT_ACTION;
+        room.hidingStartTime = data.hidingStartTime ? data.hidingStartTime + downtimeMs : null;
+        room.soundPackId = SOUND_PACKS[data.soundPackId] ? data.soundPackId : DEFAULT_SOUND_PACK_ID;
+        room.soundMode = Object.values(SOUND_MODE).includes(data.soundMode) ? data.soundMode : DEFAULT_SOUND_MODE;
+        room.soundSchedulerId = SOUND_SCHEDULERS[data.soundSchedulerId] ? data.soundSchedulerId : DEFAULT_SOUND_SCHEDULER_ID;
+        room.frenzyWindowS = data.frenzyWindowS ?? DEFAULT_FRENZY_WINDOW_S;
+        room.startVolumePercent = data.startVolumePercent ?? DEFAULT_START_VOLUME_PERCENT;
+        room.endVolumePercent = data.endVolumePercent ?? DEFAULT_END_VOLUME_PERCENT;
+        room.playbackRatePercent = data.playbackRatePercent ?? DEFAULT_PLAYBACK_RATE_PERCENT;
+        room.muffleMode = Object.values(MUFFLE_MODE).includes(data.muffleMode) ? data.muffleMode : DEFAULT_MUFFLE_MODE;
+        room.decoyRatioPercent = data.decoyRatioPercent ?? DEFAULT_DECOY_RATIO_PERCENT;
+        room.decoysPlayed = data.decoysPlayed || 0;
+        room.pingsPerRound = data.pingsPerRound ?? DEFAULT_PINGS_PER_ROUND;
+        room.pingTimeCostS = data.pingTimeCostS ?? DEFAULT_PING_TIME_COST_S;
+        room.pingsRemaining = data.pingsRemaining || 0;
+        room.pingHistory = Array.isArray(data.pingHistory) ? data.pingHistory : [];
+        room.foundConfirmation = Object.values(FOUND_CONFIRMATION).includes(data.foundConfirmation) ? data.foundConfirmation : DEFAULT_FOUND_CONFIRMATION;
+        room.pickupDetection = Object.values(PICKUP_DETECTION).includes(data.pickupDetection) ? data.pickupDetection : DEFAULT_PICKUP_DETECTION;
+        room.pickupAutoFoundDelayS = data.pickupAutoFoundDelayS ?? DEFAULT_PICKUP_AUTO_FOUND_DELAY_S;
+        room.hidingZones = Array.isArray(data.hidingZones) ? data.hidingZones : [];
+        room.hintIntervalS = data.hintIntervalS ?? DEFAULT_HINT_INTERVAL_S;
+        room.hintRequestsPerRound = data.hintRequestsPerRound ?? DEFAULT_HINT_REQUESTS_PER_ROUND;
+        room.hintTimeCostS = data.hintTimeCostS ?? DEFAULT_HINT_TIME_COST_S;
+        room.hintRequestsRemaining = data.hintRequestsRemaining || 0;
+        room.scheduledHintCount = data.scheduledHintCount || 0;
+        room.hints = Array.isArray(data.hints) ? data.hints : [];
+        room.seekStartTime = data.seekStartTime ? data.seekStartTime + downtimeMs : null;
+        room.winner = data.winner || null;
+        room.seekStartedAt = data.seekStartedAt ?? null;
+        room.roundResults = Array.isArray(data.roundResults) ? data.roundResults : [];
+        if (typeof data.exportKey === 'string') room.exportKey = data.exportKey;
+        room.roundLog = Array.isArray(data.roundLog) ? data.roundLog : [];
+        room.createdAt = data.createdAt || room.createdAt;
+        room.joinPin = typeof data.joinPin === 'string' && JOIN_PIN_PATTERN.test(data.joinPin) ? data.joinPin : null;
+        room.isLocked = !!data.isLocked;
+        room.bannedDeviceIds = new Set(Array.isArray(data.bannedDeviceIds) ? data.bannedDeviceIds : []);
+        const lastRoundResult = room.roundResults[room.roundResults.length - 1];
+        if (room.gameState === GAME_STATE.GAME_OVER && lastRoundResult) {
+            lastRoundResult.events = room.roundLog; // The finished round's log is still the live one; re-link it
+        }
+        room.preSeekCountdownValue = data.preSeekCountdownValue ?? PRE_SEEK_COUNTDOWN_S;
+        room.isPaused = !!data.isPaused;
+        room.pausedAt = data.pausedAt ? data.pausedAt + downtimeMs : null;
+        room.nextPlayerIndexToPlay = data.nextPlayerIndexToPlay || 0;
+        room.sharedRemainingSoundPlays = data.sharedRemainingSoundPlays || 0;
+        room.unfoundPlayerQueue = Array.isArray(data.unfoundPlayerQueue) ? data.unfoundPlayerQueue : [];
+        room.activeUnfoundPlayerId = data.activeUnfoundPlayerId || null;
+
+        (data.players || []).forEach(playerData => {
+            const player = Player.fromSnapshot(playerData);
+            room.players[player.id] = player;
+            if (player.uniqueAnimalSoundURL) room.assignedAnimalSounds.add(player.uniqueAnimalSoundURL);
+            if (player.uniqueUnfoundSoundURL) room.assignedUnfoundSounds.add(player.uniqueUnfoundSoundURL);
+            if (player.synthSoundKey) room.assignedSynthSounds.add(player.synthSoundKey);
+        });
+        (data.controllers || []).forEach(controllerData => {
+            const controller = Controller.fromSnapshot(controllerData);
+            room.controllers[controller.id] = controller;
+        });
+        room.nextPlayerNumber = data.nextPlayerNumber || Math.max(0, ...Object.values(room.players).map(p => p.number)) + 1;
+        room.nextControllerNumber = data.nextControllerNumber || Object.keys(room.controllers).length + 1;
+        return room;
+    }
+
+    /** Re-arms grace periods, the pre-seek countdown, seek timer and sound loop after a restore. */
+    resumeAfterRestore(wasPreSeekCountdownRunning) {
+        // Everyone's socket went away with the old process; that's a restart, not a disconnect to count or log
+        [...Object.values(this.players), ...Object.values(this.controllers)].forEach(member => this._holdSeat(member));
+
+        if (this.isPaused) {
+            // Timers stay off until someone resumes the round
+        } else if (this.gameState === GAME_STATE.HIDING && wasPreSeekCountdownRunning) {
+            this.startPreSeekCountdown(this.preSeekCountdownValue);
+        } else if (this.gameState === GAME_STATE.HIDING) {
+            this._armHidingTimeLimit();
+        } else if (this.gameState === GAME_STATE.SEEKING) {
+            this.startSeekTimer();
+            // nextPlayerIndexToPlay was restored, so the rotation continues with the same phone
+            this.soundRotationTimeout = setTimeout(() => this.scheduleNextSound(), MIN_SOUND_DELAY_MS);
+        }
+
+        this.log.info(`Restored in ${this.gameState} with ${this.getPlayerCount()} player(s) and ${Object.keys(this.controllers).length} controller(s).`);
+    }
+}
+
+
+// =============================================================================
+// == Room Snapshots (Persistence)
+// =============================================================================
+
+let roomSnapshotTimeout = null;
+let isWritingRoomSnapshot = false;
+let isRoomSnapshotQueued = false; // Something changed during a write; write again when it finishes
+
+/** Queues a snapshot write, coalescing bursts of state changes into a single write. */
+function scheduleRoomSnapshot() {
+    if (roomSnapshotTimeout) return;
+    roomSnapshotTimeout = setTimeout(() => {
+        roomSnapshotTimeout = null;
+        saveRoomSnapshots();
+    }, ROOM_SNAPSHOT_DEBOUNCE_MS);
+}
+
+function serializeRoomSnapshots() {
+    return JSON.stringify({
+        version: ROOM_SNAPSHOT_VERSION,
+        savedAt: Date.now(),
+        rooms: Object.values(activeRooms).map(room => room.toSnapshot()),
+    });
+}
+
+/** Writes all active rooms to ROOM_SNAPSHOT_FILE without blocking (temp file, then rename). One write runs at a time. */
+async function saveRoomSnapshots() {
+    if (roomSnapshotTimeout) clearTimeout(roomSnapshotTimeout);
+    roomSnapshotTimeout = null;
+    if (isWritingRoomSnapshot) {
+        isRoomSnapshotQueued = true;
+        return;
+    }
+
+    isWritingRoomSnapshot = true;
+    const tempFile = `${ROOM_SNAPSHOT_FILE}.tmp`;
+    try {
+        await fs.promises.mkdir(path.dirname(ROOM_SNAPSHOT_FILE), { recursive: true });
+        await fs.promises.writeFile(tempFile, serializeRoomSnapshots());
+        await fs.promises.rename(tempFile, ROOM_SNAPSHOT_FILE);
+    } catch (error) {
+        logger.error(`Failed to write room snapshot to ${ROOM_SNAPSHOT_FILE}.`, { error });
+    } finally {
+        isWritingRoomSnapshot = false;
+        if (isRoomSnapshotQueued) {
+            isRoomSnapshotQueued = false;
+            scheduleRoomSnapshot();
         }
     }
 }
 
+/** Blocking write for shutdown, where the process exits right after. Uses its own temp file so an in-flight async write can't interleave. */
+function saveRoomSnapshotsSync() {
+    const tempFile = `${ROOM_SNAPSHOT_FILE}.exit.tmp`;
+    try {
+        fs.mkdirSync(path.dirname(ROOM_SNAPSHOT_FILE), { recursive: true });
+        fs.writeFileSync(tempFile, serializeRoomSnapshots());
+        fs.renameSync(tempFile, ROOM_SNAPSHOT_FILE);
+    } catch (error) {
+        logger.error(`Failed to write room snapshot to ${ROOM_SNAPSHOT_FILE}.`, { error });
+    }
+}
+
+/** Loads rooms from ROOM_SNAPSHOT_FILE into activeRooms and resumes their timers. */
+function restoreRoomSnapshots(ioInstance) {
+    let snapshot;
+    try {
+        if (!fs.existsSync(ROOM_SNAPSHOT_FILE)) return;
+        snapshot = JSON.parse(fs.readFileSync(ROOM_SNAPSHOT_FILE, 'utf8'));
+    } catch (error) {
+        logger.error(`Failed to read room snapshot from ${ROOM_SNAPSHOT_FILE}. Starting with no rooms.`, { error });
+        return;
+    }
+
+    if (snapshot?.version !== ROOM_SNAPSHOT_VERSION || !Array.isArray(snapshot.rooms)) {
+        logger.warn(`Ignoring room snapshot with unsupported format (version ${snapshot?.version}).`);
+        return;
+    }
+
+    const downtimeMs = Math.max(0, Date.now() - (snapshot.savedAt || Date.now()));
+    snapshot.rooms.forEach(roomData => {
+        try {
+            const room = Room.fromSnapshot(roomData, ioInstance, downtimeMs);
+            if (room.isEmpty()) return;
+            activeRooms[room.roomCode] = room; // Register first: timers check activeRooms before firing
+            room.resumeAfterRestore(!!roomData.isPreSeekCountdownRunning);
+        } catch (error) {
+            logger.error('Failed to restore room.', { roomCode: roomData?.roomCode, error });
+            delete activeRooms[roomData?.roomCode];
+        }
+    });
+    logger.info(`Restored ${Object.keys(activeRooms).length} room(s) from snapshot (downtime ${Math.round(downtimeMs / 1000)}s).`);
+}
+
 
 // =============================================================================
 // == Server Setup & Socket Handlers
 // =============================================================================
 
 const app = express();
+app.set('trust proxy', TRUSTED_PROXY_HOPS); // req.ip follows the same hop count as socket addresses
 const server = http.createServer(app);
 const io = new Server(server, {
     cors: {
@@ -777,8 +3020,8 @@ const io = new Server(server, {
 
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type');
+    res.header('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Session-Token, X-Export-Key');
 
     if (req.method === 'OPTIONS') {
         return res.sendStatus(204);
@@ -789,10 +3032,170 @@ app.use((req, res, next) => {
 
 // Serve static files
 app.use(express.static(PUBLIC_DIR));
+app.use(CUSTOM_SOUNDS_URL_PATH, express.static(CUSTOM_SOUNDS_DIR));
+
+// --- Custom Sound Routes ---
+// Players authenticate with the session token issued when they joined the room.
+
+app.post('/rooms/:roomCode/custom-sound', express.raw({ type: 'audio/*', limit: MAX_CUSTOM_SOUND_BYTES }), (req, res) => {
+    const room = activeRooms[req.params.roomCode];
+    if (!room) return res.status(404).json({ error: 'Room not found.' });
+    const player = room.getPlayerBySessionToken(req.get('X-Session-Token'));
+    if (!player) return res.status(403).json({ error: 'You are not a phone in this room.' });
+
+    try {
+        if (room.gameState !== GAME_STATE.WAITING) throw new Error("Custom sounds can only be changed while waiting.");
+        const { extension } = validateCustomSoundUpload(req.get('Content-Type'), req.body);
+        const soundURL = storeCustomSound(room.roomCode, player, extension, req.body);
+        room.setPlayerCustomSound(player.id, soundURL); // Broadcasts the new sound to the room
+        res.status(201).json({ soundURL });
+    } catch (error) {
+        room.log.warn(`Rejected custom sound: ${error.message}`, { playerNumber: player.number, event: 'customSoundUpload' });
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/rooms/:roomCode/custom-sound', (req, res) => {
+    const room = activeRooms[req.params.roomCode];
+    if (!room) return res.status(404).json({ error: 'Room not found.' });
+    const player = room.getPlayerBySessionToken(req.get('X-Session-Token'));
+    if (!player) return res.status(403).json({ error: 'You are not a phone in this room.' });
+
+    try {
+        room.setPlayerCustomSound(player.id, null);
+        res.status(204).end();
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// --- Results Export Routes ---
+// Round history download, authorized by the room's export key which only the Hider sees. The key is sent
+// in an `X-Export-Key` header rather than the URL so it stays out of access logs and browser history.
+
+function findRoomForExport(req, res) {
+    const room = activeRooms[req.params.roomCode];
+    if (!room) {
+        res.status(404).json({ error: 'Room not found.' });
+        return null;
+    }
+    if (!room.isValidExportKey(req.get('X-Export-Key'))) {
+        res.status(403).json({ error: 'Invalid export key.' });
+        return null;
+    }
+    return room;
+}
+
+app.get('/rooms/:roomCode/results.json', (req, res) => {
+    const room = findRoomForExport(req, res);
+    if (!room) return;
+    res.attachment(`hide-n-seek-${room.roomCode}-results.json`);
+    res.json({ roomCode: room.roomCode, exportedAt: new Date().toISOString(), rounds: room.roundResults });
+});
+
+app.get('/rooms/:roomCode/results.csv', (req, res) => {
+    const room = findRoomForExport(req, res);
+    if (!room) return;
+    res.attachment(`hide-n-seek-${room.roomCode}-results.csv`);
+    res.type('text/csv').send(buildResultsCsv(room.roundResults));
+});
+
+// --- Admin API Routes ---
+// Operators send `Authorization: Bearer <ADMIN_TOKEN>`. Actions go through Room methods so clients get normal broadcasts.
+
+function hasBearerToken(req, token) {
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    const given = Buffer.from(match ? match[1] : '');
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function requireAdminToken(req, res, next) {
+    if (!ADMIN_TOKEN) return res.status(404).json({ error: 'Admin API is disabled.' });
+    if (!hasBearerToken(req, ADMIN_TOKEN)) {
+        logger.warn(`Rejected admin request ${req.method} ${req.originalUrl} from ${req.ip}.`, { event: 'adminAuth' });
+        return res.status(401).json({ error: 'Invalid admin token.' });
+    }
+    next();
+}
+
+function findRoomForAdmin(req, res) {
+    const room = activeRooms[req.params.roomCode];
+    if (!room) res.status(404).json({ error: 'Room not found.' });
+    return room || null;
+}
+
+app.use(ADMIN_API_PATH, requireAdminToken);
+
+app.get(`${ADMIN_API_PATH}/rooms`, (req, res) => {
+    res.json({ rooms: Object.values(activeRooms).map(room => room.getAdminSummary()) });
+});
+
+app.get(`${ADMIN_API_PATH}/rooms/:roomCode`, (req, res) => {
+    const room = findRoomForAdmin(req, res);
+    if (!room) return;
+    res.json(room.getAdminState());
+});
+
+app.post(`${ADMIN_API_PATH}/rooms/:roomCode/players/:playerNumber/kick`, (req, res) => {
+    const room = findRoomForAdmin(req, res);
+    if (!room) return;
+    const player = room.getPlayerByNumber(Number(req.params.playerNumber));
+    if (!player) return res.status(404).json({ error: 'Player not found.' });
+
+    room.log.info(`Admin kicked P${player.number}.`, { playerNumber: player.number, socketId: player.id, event: 'adminKick' });
+    room.dismissMember(player.id, 'You were removed from the room by an operator.');
+    removeMemberFromRoom(room, player.id); // Same cleanup as leaving; deletes the room if it empties
+    res.status(204).end();
+});
+
+app.post(`${ADMIN_API_PATH}/rooms/:roomCode/end-round`, (req, res) => {
+    const room = findRoomForAdmin(req, res);
+    if (!room) return;
+    try {
+        room.forceEndRound();
+        res.status(204).end();
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+app.delete(`${ADMIN_API_PATH}/rooms/:roomCode`, (req, res) => {
+    const room = findRoomForAdmin(req, res);
+    if (!room) return;
+    room.log.info('Admin closed the room.', { event: 'adminCloseRoom' });
+    closeRoom(room, 'This room was closed by an operator.');
+    res.status(204).end();
+});
+
+// --- Metrics Route ---
+
+app.get('/metrics', (req, res) => {
+    if (!METRICS_TOKEN) return res.status(404).json({ error: 'Metrics are disabled.' });
+    if (!hasBearerToken(req, METRICS_TOKEN)) return res.status(401).json({ error: 'Invalid metrics token.' });
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Turns body-parser failures (e.g. oversized uploads) into JSON errors the client can show
+app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    const message = error.type === 'entity.too.large'
+        ? `Sound file is too large (max ${MAX_CUSTOM_SOUND_BYTES / 1024} KB).`
+        : 'Invalid request.';
+    res.status(error.status || 400).json({ error: message });
+});
 
 // Main Socket.IO connection handler
 io.on('connection', (socket) => {
-    console.log(`User connected: ${socket.id}`);
+    logger.info('User connected.', { socketId: socket.id, event: 'connection' });
+    socket.use(createSocketEventGuard(socket)); // Rate limits and payload checks run before any handler below
+
+    // --- Clock Sync ---
+
+    // NTP-style handshake: the client derives its clock offset from the round trip of this exchange
+    socket.on('clockSyncRequest', (clientSendTime) => {
+        socket.emit('clockSyncResponse', { clientSendTime, serverTime: Date.now() });
+    });
 
     // --- Room Management Handlers ---
 
@@ -803,20 +3206,50 @@ io.on('connection', (socket) => {
             activeRooms[roomCode] = newRoom;
             newRoom.addPlayer(socket); // addPlayer handles joining and broadcasting
         } catch (error) {
-            console.error(`[${socket.id}] Error creating room:`, error);
+            logger.error('Error creating room.', { socketId: socket.id, event: 'createRoom', error });
             socket.emit('errorMsg', error.message || 'Failed to create room. Please try again.');
         }
     });
 
-    socket.on('joinRoom', (roomCode) => {
+    socket.on('joinRoom', (roomCode, pin) => {
         try {
             const room = activeRooms[roomCode];
             if (!room) {
                 return socket.emit('errorMsg', 'Room not found.');
             }
+            if (!room.checkJoinAccess(socket, pin, false)) return requestJoinPin(room, socket, pin, false);
             room.addPlayer(socket); // addPlayer handles validation, joining, broadcasting
         } catch (error) {
-            console.error(`[${socket.id}] Error joining room ${roomCode}:`, error);
+            logger.warn(`Failed 'joinRoom': ${error.message}`, { roomCode, socketId: socket.id, event: 'joinRoom' });
+            socket.emit('errorMsg', error.message || 'Failed to join room. Please try again.');
+        }
+    });
+
+    socket.on('resumeSession', (session) => {
+        const roomCode = session?.roomCode;
+        try {
+            const room = activeRooms[roomCode];
+            if (!room || typeof session?.sessionToken !== 'string') {
+                throw new Error("Your previous game is no longer available.");
+            }
+            if (findRoomBySocketId(socket.id)) throw new Error("You are already in a room.");
+            room.resumeMember(socket, session.sessionToken); // Handles re-keying, joining and broadcasting
+        } catch (error) {
+            logger.warn(`Failed 'resumeSession': ${error.message}`, { roomCode, socketId: socket.id, event: 'resumeSession' });
+            socket.emit('sessionExpired', error.message || 'Could not resume your previous game.');
+        }
+    });
+
+    socket.on('joinRoomAsController', (roomCode, pin) => {
+        try {
+            const room = activeRooms[roomCode];
+            if (!room) {
+                return socket.emit('errorMsg', 'Room not found.');
+            }
+            if (!room.checkJoinAccess(socket, pin, true)) return requestJoinPin(room, socket, pin, true);
+            room.addController(socket); // Handles validation, joining, broadcasting
+        } catch (error) {
+            logger.warn(`Failed 'joinRoomAsController': ${error.message}`, { roomCode, socketId: socket.id, event: 'joinRoomAsController' });
             socket.emit('errorMsg', error.message || 'Failed to join room. Please try again.');
         }
     });
@@ -824,12 +3257,11 @@ io.on('connection', (socket) => {
      socket.on('leaveRoom', () => {
         const room = findRoomBySocketId(socket.id);
         if (room) {
-            console.log(`[${room.roomCode}] ${socket.id} requested to leave.`);
+            room.log.info('Member requested to leave.', { socketId: socket.id, playerNumber: room.getPlayer(socket.id)?.number, event: 'leaveRoom' });
             socket.leave(room.roomCode); // Leave the Socket.IO room
-            // Trigger the disconnect logic manually
-            handleDisconnect(socket);
+            removeMemberFromRoom(room, socket.id); // Explicit leave frees the seat immediately
         } else {
-            console.warn(`[${socket.id}] Tried to leave but was not in a recognized room.`);
+            logger.warn('Tried to leave but was not in a recognized room.', { socketId: socket.id, event: 'leaveRoom' });
         }
     });
 
@@ -846,11 +3278,34 @@ io.on('connection', (socket) => {
 
             room.updateSettings(settings); // Room method handles validation and broadcasting
         } catch (error) {
-            console.warn(`[${room?.roomCode || 'No Room'}] Failed 'updateSettings' from ${socket.id}: ${error.message}`);
+            logSocketFailure(room, socket, 'updateSettings', error);
             socket.emit('errorMsg', error.message || 'Failed to update settings.');
         }
     });
 
+    socket.on('updateRoomAccess', (access) => {
+        const room = findRoomBySocketId(socket.id);
+        try {
+            if (!room) throw new Error("Not currently in a room.");
+            room.updateRoomAccess(socket.id, access); // Hider-only; broadcasts the new access settings
+        } catch (error) {
+            logSocketFailure(room, socket, 'updateRoomAccess', error);
+            socket.emit('errorMsg', error.message || 'Failed to update room access.');
+        }
+    });
+
+    socket.on('kickPlayer', ({ playerId, ban }) => {
+        const room = findRoomBySocketId(socket.id);
+        try {
+            if (!room) throw new Error("Not currently in a room.");
+            room.kickPlayer(socket.id, playerId, ban); // Validates, records the ban and notifies the phone
+            removeMemberFromRoom(room, playerId); // Same cleanup as leaving: releases sounds and adjusts the round
+        } catch (error) {
+            logSocketFailure(room, socket, 'kickPlayer', error);
+            socket.emit('errorMsg', error.message || 'Failed to remove the phone.');
+        }
+    });
+
     socket.on('startHiding', () => {
         const room = findRoomBySocketId(socket.id);
         try {
@@ -860,19 +3315,30 @@ io.on('connection', (socket) => {
 
             room.startHidingPhase(); // Handles validation and broadcasting
         } catch (error) {
-             console.warn(`[${room?.roomCode || 'No Room'}] Failed 'startHiding' from ${socket.id}: ${error.message}`);
+             logSocketFailure(room, socket, 'startHiding', error);
              socket.emit('errorMsg', error.message || 'Failed to start hiding phase.');
         }
     });
 
-    socket.on('confirmHidden', () => {
+    socket.on('forceStartSeeking', () => {
+        const room = findRoomBySocketId(socket.id);
+        try {
+            if (!room) throw new Error("Not currently in a room.");
+            room.forceStartSeeking(socket.id);
+        } catch (error) {
+            logSocketFailure(room, socket, 'forceStartSeeking', error);
+            socket.emit('errorMsg', error.message || 'Failed to start seeking.');
+        }
+    });
+
+    socket.on('confirmHidden', (details) => {
          const room = findRoomBySocketId(socket.id);
          try {
              if (!room) throw new Error("Not currently in a room.");
-             room.confirmPlayerHidden(socket.id); // Handles validation and broadcasting/state change
+             room.confirmPlayerHidden(socket.id, details); // Handles validation and broadcasting/state change
          } catch (error) {
-             console.warn(`[${room?.roomCode || 'No Room'}] Failed 'confirmHidden' from ${socket.id}: ${error.message}`);
-             // No error message needed for client here typically
+             logSocketFailure(room, socket, 'confirmHidden', error);
+             socket.emit('errorMsg', error.message || 'Failed to confirm hidden.');
          }
     });
 
@@ -882,58 +3348,186 @@ io.on('connection', (socket) => {
              if (!room) throw new Error("Not currently in a room.");
              room.markPlayerFound(socket.id); // Handles validation, state changes, broadcasting
          } catch (error) {
-             console.warn(`[${room?.roomCode || 'No Room'}] Failed 'markSelfFound' from ${socket.id}: ${error.message}`);
-             // No error message needed for client here typically
+             logSocketFailure(room, socket, 'markSelfFound', error);
+             socket.emit('errorMsg', error.message || 'Failed to mark found.');
          }
     });
 
+    socket.on('requestFoundCode', () => {
+        const room = findRoomBySocketId(socket.id);
+        try {
+            if (!room) throw new Error("Not currently in a room.");
+            socket.emit('foundCode', room.issueFoundCode(socket.id));
+        } catch (error) {
+            logSocketFailure(room, socket, 'requestFoundCode', error);
+            socket.emit('errorMsg', error.message || 'Failed to get a found code.');
+        }
+    });
+
+    socket.on('requestExportKey', () => {
+        const room = findRoomBySocketId(socket.id);
+        try {
+            if (!room) throw new Error("Not currently in a room.");
+            socket.emit('exportKey', { roomCode: room.roomCode, exportKey: room.getExportKey(socket.id) });
+        } catch (error) {
+            logSocketFailure(room, socket, 'requestExportKey', error);
+            socket.emit('errorMsg', error.message || 'Failed to get the results key.');
+        }
+    });
+
+    socket.on('verifyFoundCode', (code) => {
+        const room = findRoomBySocketId(socket.id);
+        try {
+            if (!room) throw new Error("Not currently in a room.");
+            room.verifyFoundCode(socket.id, code); // Handles validation and broadcasting
+        } catch (error) {
+            logSocketFailure(room, socket, 'verifyFoundCode', error);
+            socket.emit('errorMsg', error.message || 'Failed to confirm found phone.');
+        }
+    });
+
+    socket.on('pingPhone', (targetPlayerId) => {
+        const room = findRoomBySocketId(socket.id);
+        try {
+            if (!room) throw new Error("Not currently in a room.");
+            room.pingPlayer(socket.id, targetPlayerId); // Handles validation, budget and broadcasting
+        } catch (error) {
+            logSocketFailure(room, socket, 'pingPhone', error);
+            socket.emit('errorMsg', error.message || 'Failed to ping phone.');
+        }
+    });
+
+    socket.on('requestHint', (targetPlayerId) => {
+        const room = findRoomBySocketId(socket.id);
+        try {
+            if (!room) throw new Error("Not currently in a room.");
+            room.requestHint(socket.id, targetPlayerId); // Handles validation, budget and broadcasting
+        } catch (error) {
+            logSocketFailure(room, socket, 'requestHint', error);
+            socket.emit('errorMsg', error.message || 'Failed to get a hint.');
+        }
+    });
+
+    socket.on('pauseRound', () => {
+        const room = findRoomBySocketId(socket.id);
+        try {
+            if (!room) throw new Error("Not currently in a room.");
+            room.pauseRound(socket.id);
+        } catch (error) {
+            logSocketFailure(room, socket, 'pauseRound', error);
+            socket.emit('errorMsg', error.message || 'Failed to pause the game.');
+        }
+    });
+
+    socket.on('resumeRound', () => {
+        const room = findRoomBySocketId(socket.id);
+        try {
+            if (!room) throw new Error("Not currently in a room.");
+            room.resumeRound(socket.id);
+        } catch (error) {
+            logSocketFailure(room, socket, 'resumeRound', error);
+            socket.emit('errorMsg', error.message || 'Failed to resume the game.');
+        }
+    });
+
     socket.on('requestPlayAgain', () => {
         const room = findRoomBySocketId(socket.id);
          try {
              if (!room) throw new Error("Not currently in a room.");
              room.requestPlayAgain(socket.id); // Handles validation and broadcasting
          } catch (error) {
-             console.warn(`[${room?.roomCode || 'No Room'}] Failed 'requestPlayAgain' from ${socket.id}: ${error.message}`);
+             logSocketFailure(room, socket, 'requestPlayAgain', error);
              socket.emit('errorMsg', error.message || 'Failed to request play again.');
          }
     });
 
     // --- Disconnect Handler ---
-    const handleDisconnect = (disconnectedSocket) => {
-        console.log(`Processing disconnect for: ${disconnectedSocket.id}.`);
-        const room = findRoomBySocketId(disconnectedSocket.id);
-
+    socket.on('disconnect', (reason) => {
+        logger.info(`User disconnected. Reason: ${reason}`, { socketId: socket.id, event: 'disconnect' });
+        const room = findRoomBySocketId(socket.id);
         if (room) {
-            const shouldDeleteRoom = room.removePlayer(disconnectedSocket.id); // removePlayer returns true if room becomes empty
-            if (shouldDeleteRoom) {
-                console.log(`[${room.roomCode}] Deleting empty room.`);
-                delete activeRooms[room.roomCode];
-            }
+            room.markMemberDisconnected(socket.id); // Seat is held so the player can resume
         } else {
-            console.log(`Disconnected user ${disconnectedSocket.id} was not found in any active room.`);
+            logger.debug('Disconnected user was not in any active room.', { socketId: socket.id, event: 'disconnect' });
         }
-    };
-
-    socket.on('disconnect', (reason) => {
-        console.log(`User disconnected event: ${socket.id}. Reason: ${reason}`);
-        handleDisconnect(socket); // Use the encapsulated handler
     });
 
 });
 
-// Helper to find the room a socket is in
+// Asks the client to (re-)enter the room's PIN; `asController` tells it which join to retry
+function requestJoinPin(room, socket, pin, asController) {
+    if (pin) {
+        room.log.warn('Join attempt with an incorrect PIN.', { socketId: socket.id, event: asController ? 'joinRoomAsController' : 'joinRoom' });
+    }
+    socket.emit('joinPinRequired', {
+        roomCode: room.roomCode,
+        asController,
+        message: pin ? 'Incorrect PIN. Please try again.' : 'This room needs a PIN to join.',
+    });
+}
+
+// Logs an event a socket sent that the room rejected, with the room and sender as context
+function logSocketFailure(room, socket, eventName, error) {
+    const log = room ? room.log : logger;
+    log.warn(`Failed '${eventName}': ${error.message}`, {
+        socketId: socket.id,
+        playerNumber: room?.getPlayer(socket.id)?.number,
+        event: eventName,
+    });
+}
+
+// Helper to find the room a socket is in (as a phone or a controller)
 function findRoomBySocketId(socketId) {
     for (const roomCode in activeRooms) {
-        if (activeRooms[roomCode].players[socketId]) {
+        if (activeRooms[roomCode].hasMember(socketId)) {
             return activeRooms[roomCode];
         }
     }
     return null;
 }
 
+// Removes a phone or controller immediately and deletes the room if it becomes empty
+function removeMemberFromRoom(room, socketId) {
+    const shouldDeleteRoom = room.removeMember(socketId); // Returns true if room becomes empty
+    if (shouldDeleteRoom) {
+        room.log.info('Deleting empty room.', { event: 'roomDeleted' });
+        delete activeRooms[room.roomCode];
+        deleteCustomSoundsForRoom(room.roomCode);
+        scheduleRoomSnapshot();
+    }
+}
+
+// Sends every member back to the join view and deletes the room
+function closeRoom(room, message) {
+    [...Object.values(room.players), ...Object.values(room.controllers)].forEach(member => {
+        if (member.disconnectTimeout) clearTimeout(member.disconnectTimeout);
+        member.disconnectTimeout = null;
+        room.dismissMember(member.id, message);
+    });
+    room.clearGameIntervals();
+    delete activeRooms[room.roomCode];
+    deleteCustomSoundsForRoom(room.roomCode);
+    scheduleRoomSnapshot();
+}
+
 // --- Server Start ---
+restoreRoomSnapshots(io);
+pruneOrphanedCustomSounds();
+
+// Render sends SIGTERM before a redeploy; flush the latest state so rooms survive it
+['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.on(signal, () => {
+        logger.info(`Received ${signal}. Saving room snapshot before exit.`);
+        saveRoomSnapshotsSync();
+        process.exit(0);
+    });
+});
+
 server.listen(PORT, () => {
-    console.log(`Hide 'n' Seek Server listening on *:${PORT}`);
-    console.log(`Serving static files from: ${PUBLIC_DIR}`);
-    // Initial sound check warnings happen at the top
+    logger.info(`Hide 'n' Seek Server listening on *:${PORT}`);
+    logger.info(`Serving static files from: ${PUBLIC_DIR}`);
+    if (!HAS_KNOWN_CLIENT_ADDRESSES) {
+        logger.warn('TRUSTED_PROXY_HOPS is not set; per-IP rate limits are off. Set it to 0 for direct connections or to the number of proxies in front of the server.');
+    }
+    // Sound packs are validated at the top; the server exits if any pack is invalid
 });